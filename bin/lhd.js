@@ -0,0 +1,336 @@
+#!/usr/bin/env node
+
+/**
+ * lhd - command-line front end for Localhost Dashboard
+ *
+ * Uses the same engine as the web server and the MCP server, so services
+ * started here show up as managed everywhere (owner "cli") and every action
+ * lands in the audit log. Exit codes: 0 success, 1 the action failed (or,
+ * for `status`, a service is not healthy), 2 bad usage.
+ *
+ * Services started from the CLI write straight to their log files; nothing
+ * restarts them on a crash once lhd has exited. --profile picks the
+ * services.json profile to work in (the default profile otherwise).
+ */
+
+const os = require('os');
+const { parseArgs } = require('util');
+const groups = require('../lib/groups');
+const servicesConfig = require('../lib/config');
+const engine = require('../lib/engine');
+const profiles = require('../lib/profiles');
+
+const USAGE = `Usage: lhd [--profile NAME] <command> [options]
+
+Commands:
+  ls [--json]                           List services and their state
+  status [name|port ...] [--json]       Detailed status; exits 1 if any is not healthy
+  start <name|port|group> [--env K=V]   Start a service (repeat --env for more) or a group
+  stop <name|port|group> [--force] [--grace ms]
+                                        Stop a service or a group
+  restart <name|port> [--env K=V]       Stop, then start a service
+  logs <name|port> [-n lines] [-f]      Print (and with -f, follow) a service's output
+  add --name N --port P --path DIR --cmd CMD [--type T] [--github URL]
+                                        Add a service to services.json
+  groups                                List groups and their start order
+  profiles                              List profiles (workspaces)
+  help                                  Show this message`;
+
+const OPTIONS = {
+    json: { type: 'boolean' },
+    env: { type: 'string', multiple: true },
+    force: { type: 'boolean' },
+    grace: { type: 'string' },
+    lines: { type: 'string', short: 'n' },
+    follow: { type: 'boolean', short: 'f' },
+    name: { type: 'string' },
+    port: { type: 'string' },
+    path: { type: 'string' },
+    cmd: { type: 'string' },
+    type: { type: 'string' },
+    github: { type: 'string' },
+    profile: { type: 'string', short: 'p' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+const STATE_ICONS = {
+    healthy: '●',
+    starting: '◐',
+    unhealthy: '◑',
+    crashed: '✖',
+    stopped: '○'
+};
+
+// Thrown for bad usage: exit code 2
+class UsageError extends Error {}
+
+// Set from --profile in main()
+const context = { source: 'cli', client: os.userInfo().username, profile: undefined, capture: false };
+
+// A service (by port or name, names case-insensitively) or a group
+function resolve(ref) {
+    if (!ref) throw new UsageError('Missing service name, port or group');
+    const config = engine.loadConfig(context.profile);
+    const service = engine.findService(ref, context.profile) ||
+        config.services.find(s => s.name.toLowerCase() === ref.toLowerCase());
+    if (service) return { service };
+    const group = (config.groups || []).find(g => g.name === ref || g.name.toLowerCase() === ref.toLowerCase());
+    if (group) return { group: group.name };
+    throw new Error(`No service or group matches "${ref}"`);
+}
+
+// KEY=VALUE pairs from repeated --env flags
+function parseEnvFlags(pairs) {
+    if (!pairs) return undefined;
+    const vars = {};
+    pairs.forEach(pair => {
+        const match = pair.match(/^([A-Za-z_][A-Za-z0-9_]*)=(.*)$/s);
+        if (!match) throw new UsageError(`--env expects KEY=VALUE, got "${pair}"`);
+        vars[match[1]] = match[2];
+    });
+    return vars;
+}
+
+function printJson(value) {
+    console.log(JSON.stringify(value, null, 2));
+}
+
+// Pad columns of a table to their widest cell
+function printTable(rows) {
+    const widths = rows[0].map((_, i) => Math.max(...rows.map(r => String(r[i]).length)));
+    rows.forEach(row => console.log(row.map((cell, i) => String(cell).padEnd(widths[i])).join('  ').trimEnd()));
+}
+
+function describe(s) {
+    return `${s.state}${s.stateDetail ? ` (${s.stateDetail})` : ''}`;
+}
+
+async function list(opts) {
+    const statuses = await engine.getAllStatus(context.profile);
+    if (opts.json) {
+        printJson(statuses);
+    } else if (statuses.length === 0) {
+        console.log('No services configured');
+    } else {
+        printTable([
+            ['', 'NAME', 'PORT', 'STATE', 'URL'],
+            ...statuses.map(s => [STATE_ICONS[s.state] || '?', s.name, s.port, s.state, (s.running && s.proxyUrl) || s.url || ''])
+        ]);
+    }
+    return 0;
+}
+
+async function status(refs, opts) {
+    let statuses = await engine.getAllStatus(context.profile);
+    if (refs.length > 0) {
+        const ports = refs.map(ref => {
+            const target = resolve(ref);
+            if (target.group) throw new UsageError(`status takes services, not groups ("${ref}")`);
+            return target.service.port;
+        });
+        statuses = statuses.filter(s => ports.includes(s.port));
+    }
+    if (opts.json) {
+        printJson(statuses);
+    } else {
+        statuses.forEach(s => {
+            console.log(`${STATE_ICONS[s.state] || '?'} ${s.name} [:${s.port}] ${describe(s)}`);
+            if (s.managed) {
+                console.log(`    managed: pid ${s.managed.pid}, started via ${s.managed.owner}, up ${engine.formatUptime(s.managed.startedAt)}`);
+            }
+            if (s.listener && s.listener.ownership !== 'managed') {
+                console.log(`    listener: ${s.listener.ownership} - ${s.listener.detail}`);
+            }
+            if (s.supervisor.restarts > 0 || s.supervisor.crashLooped) {
+                console.log(`    restarts: ${s.supervisor.restarts}${s.supervisor.crashLooped ? ' (crash loop)' : ''}`);
+            }
+        });
+    }
+    return statuses.every(s => s.state === 'healthy') ? 0 : 1;
+}
+
+function printGroupResults(result) {
+    result.results.forEach(r => {
+        const detail = r.skipped ? 'skipped' : r.state || r.message || r.error || '';
+        console.log(`  ${r.name} [:${r.port}] ${detail}`);
+    });
+}
+
+async function start(ref, opts) {
+    const target = resolve(ref);
+    const vars = parseEnvFlags(opts.env);
+    if (target.group) {
+        if (vars) throw new UsageError('--env applies to single services, not groups');
+        const result = await engine.startGroup(target.group, context);
+        console.log(result.success ? `Started group ${target.group}` : `Group ${target.group} failed: ${result.error}`);
+        printGroupResults(result);
+        return result.success ? 0 : 1;
+    }
+
+    const result = await engine.startService(target.service, context, { env: vars });
+    if (result.success) {
+        console.log(`Started ${result.name} on http://localhost:${result.port} (${result.detail})`);
+        return 0;
+    }
+    console.error(`Failed: ${result.error}`);
+    if (result.pid) console.error(`See its output with: lhd logs ${result.port}`);
+    return 1;
+}
+
+async function stop(ref, opts) {
+    const target = resolve(ref);
+    if (target.group) {
+        const result = await engine.stopGroup(target.group, context);
+        console.log(result.success ? `Stopped group ${target.group}` : `Group ${target.group} partially stopped`);
+        printGroupResults(result);
+        return result.success ? 0 : 1;
+    }
+
+    const grace = opts.grace === undefined ? undefined : parseInt(opts.grace);
+    if (grace !== undefined && !(grace > 0)) throw new UsageError('--grace expects milliseconds');
+    const result = await engine.stopService(target.service.port, context, { force: opts.force, grace });
+    if (result.success) {
+        console.log(result.message);
+        return 0;
+    }
+    console.error(`Failed: ${result.error}${result.refused ? ' (use --force)' : ''}`);
+    return 1;
+}
+
+async function restart(ref, opts) {
+    const target = resolve(ref);
+    if (target.group) throw new UsageError('restart takes a single service');
+    // Reject a bad --env before the service goes down
+    parseEnvFlags(opts.env);
+    const code = await stop(ref, opts);
+    return code === 0 ? start(ref, opts) : code;
+}
+
+// Print the last lines; with --follow keep printing until interrupted
+async function showLogs(ref, opts) {
+    const target = resolve(ref);
+    if (target.group) throw new UsageError('logs takes a single service');
+    const port = target.service.port;
+    const print = line => console.log(line.stream === 'system' ? `[dashboard] ${line.text}` : line.text);
+
+    (await engine.tailLogs(port, parseInt(opts.lines) || 50)).forEach(print);
+    if (!opts.follow) return 0;
+
+    engine.followLogs(port, print);
+    return new Promise(() => {});
+}
+
+async function add(opts) {
+    const fields = {
+        name: opts.name,
+        port: opts.port && Number(opts.port),
+        path: opts.path,
+        type: opts.type || 'backend',
+        startCmd: opts.cmd
+    };
+    if (opts.github) fields.github = opts.github;
+
+    try {
+        const service = await servicesConfig.addService(fields);
+        engine.recordAction(context, 'service-add', { port: service.port, name: service.name }, fields, { success: true });
+        console.log(`Added ${service.name} [:${service.port}]`);
+        return 0;
+    } catch (err) {
+        engine.recordAction(context, 'service-add', null, fields, { error: err.message });
+        if (!err.errors) throw err;
+        console.error('Not added:');
+        err.errors.forEach(e => console.error(`  ${e.field === 'startCmd' ? 'cmd' : e.field}: ${e.message}`));
+        return 1;
+    }
+}
+
+function listGroups(opts) {
+    const config = engine.loadConfig(context.profile);
+    const list = (config.groups || []).map(g => {
+        const group = groups.getGroup(config, g.name);
+        return {
+            name: group.name,
+            description: group.description || '',
+            startOrder: groups.startOrder(config.services, group.members).map(s => ({ name: s.name, port: s.port }))
+        };
+    });
+    if (opts.json) {
+        printJson(list);
+    } else if (list.length === 0) {
+        console.log('No groups configured');
+    } else {
+        list.forEach(g => {
+            console.log(`${g.name}${g.description ? ` - ${g.description}` : ''}`);
+            console.log(`  ${g.startOrder.map(s => `${s.name} [:${s.port}]`).join(' -> ')}`);
+        });
+    }
+    return 0;
+}
+
+function listProfiles(opts) {
+    const list = profiles.list(servicesConfig.loadConfig());
+    if (opts.json) {
+        printJson(list);
+    } else if (list.length === 0) {
+        console.log('No profiles configured');
+    } else {
+        printTable([
+            ['NAME', 'SERVICES', 'DESCRIPTION'],
+            ...list.map(p => [`${p.name}${p.default ? ' (default)' : ''}`, p.services, p.description])
+        ]);
+    }
+    return 0;
+}
+
+async function main(argv) {
+    const { values: opts, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    const [command, ...rest] = positionals;
+    if (opts.help) {
+        console.log(USAGE);
+        return 0;
+    }
+    if (opts.profile !== undefined) {
+        if (!profiles.exists(servicesConfig.loadConfig(), opts.profile)) {
+            throw new UsageError(`Unknown profile "${opts.profile}" (see "lhd profiles")`);
+        }
+        context.profile = opts.profile;
+    }
+
+    switch (command) {
+        case 'ls':
+        case 'list':
+            return list(opts);
+        case 'status':
+            return status(rest, opts);
+        case 'start':
+            return start(rest[0], opts);
+        case 'stop':
+            return stop(rest[0], opts);
+        case 'restart':
+            return restart(rest[0], opts);
+        case 'logs':
+            return showLogs(rest[0], opts);
+        case 'add':
+            return add(opts);
+        case 'groups':
+            return listGroups(opts);
+        case 'profiles':
+            return listProfiles(opts);
+        case undefined:
+        case 'help':
+            console.log(USAGE);
+            return 0;
+        default:
+            throw new UsageError(`Unknown command "${command}"`);
+    }
+}
+
+main(process.argv.slice(2)).then(code => {
+    process.exit(code || 0);
+}).catch(err => {
+    // parseArgs reports unknown flags with a TypeError carrying a code
+    const usage = err instanceof UsageError || (err.code && err.code.startsWith('ERR_PARSE_ARGS'));
+    console.error(`lhd: ${err.message}`);
+    if (usage) console.error('Run "lhd help" for usage.');
+    process.exit(usage ? 2 : 1);
+});
@@ -0,0 +1,173 @@
+/**
+ * Audit log
+ *
+ * Every control action - start, stop, supervisor restarts, group start/stop,
+ * services.json edits and opening a project - is appended as one JSON line
+ * to logs/audit.jsonl, whichever entry point did it:
+ *
+ *   { time, source, client, action, target: { port, name } | { group },
+ *     params, result: { success, detail } }
+ *
+ * `source` is web, mcp, cli or supervisor; `client` what we know about the
+ * caller (remote address, MCP client name). Env values in params are masked.
+ * Appends are single writes in O_APPEND mode, so both servers can log to the
+ * same file. It is rotated once to audit.jsonl.1 past MAX_FILE_BYTES, and
+ * follows the service logs when DASHBOARD_LOG_DIR moves them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const env = require('./env');
+
+const LOG_DIR = process.env.DASHBOARD_LOG_DIR || path.join(__dirname, '..', 'logs');
+const AUDIT_PATH = path.join(LOG_DIR, 'audit.jsonl');
+const MAX_FILE_BYTES = 5 * 1024 * 1024;
+const DEFAULT_LIMIT = 100;
+const SOURCES = ['web', 'mcp', 'cli', 'supervisor'];
+
+// Params with env maps masked and empty values dropped
+function cleanParams(params) {
+    const cleaned = {};
+    Object.entries(params || {}).forEach(([key, value]) => {
+        if (value === undefined || value === null) return;
+        cleaned[key] = key === 'env' && value && typeof value === 'object' ? env.mask(value) : value;
+    });
+    return cleaned;
+}
+
+// Append one action. `result` is whatever the action returned; only
+// success and a one-line detail are kept.
+function record({ source, client = null, action, target = null, params = {}, result = {} }) {
+    const entry = {
+        time: new Date().toISOString(),
+        source,
+        client,
+        action,
+        target,
+        params: cleanParams(params),
+        result: {
+            success: Boolean(result.success),
+            detail: result.error || result.detail || result.message || null
+        }
+    };
+    try {
+        fs.mkdirSync(LOG_DIR, { recursive: true });
+        if (fs.existsSync(AUDIT_PATH) && fs.statSync(AUDIT_PATH).size > MAX_FILE_BYTES) {
+            fs.renameSync(AUDIT_PATH, `${AUDIT_PATH}.1`);
+        }
+        fs.appendFileSync(AUDIT_PATH, JSON.stringify(entry) + '\n');
+    } catch (err) {
+        console.error(`Failed to write audit log: ${err.message}`);
+    }
+    return entry;
+}
+
+// Parsed entries of one file, oldest first
+function readEntries(file) {
+    let text;
+    try {
+        text = fs.readFileSync(file, 'utf8');
+    } catch {
+        return [];
+    }
+    return text.split('\n').filter(Boolean).map(line => {
+        try {
+            return JSON.parse(line);
+        } catch {
+            return null;
+        }
+    }).filter(Boolean);
+}
+
+// Entries matching `filters`, newest first. Filters: source, action,
+// port, group, success (boolean), since/until (ISO times), limit.
+function query(filters = {}) {
+    const limit = filters.limit || DEFAULT_LIMIT;
+    const matches = entry =>
+        (!filters.source || entry.source === filters.source) &&
+        (!filters.action || entry.action === filters.action) &&
+        (!filters.port || (entry.target && entry.target.port === filters.port)) &&
+        (!filters.group || (entry.target && entry.target.group === filters.group)) &&
+        (filters.success === undefined || entry.result.success === filters.success) &&
+        (!filters.since || entry.time >= filters.since) &&
+        (!filters.until || entry.time <= filters.until);
+
+    return [...readEntries(`${AUDIT_PATH}.1`), ...readEntries(AUDIT_PATH)]
+        .filter(matches)
+        .reverse()
+        .slice(0, limit);
+}
+
+// Call `onEntry` for every line appended from now on, by any process.
+// Returns a function that stops following.
+function follow(onEntry) {
+    fs.mkdirSync(LOG_DIR, { recursive: true });
+    const initial = fs.existsSync(AUDIT_PATH) ? fs.statSync(AUDIT_PATH) : null;
+    let offset = initial ? initial.size : 0;
+    let inode = initial ? initial.ino : null;
+    let partial = '';
+
+    const readNew = () => {
+        let stat;
+        try {
+            stat = fs.statSync(AUDIT_PATH);
+        } catch {
+            // Removed: whatever appears next is a new file
+            offset = 0;
+            inode = null;
+            partial = '';
+            return;
+        }
+        // Rotated or replaced: start over on the new file
+        if (stat.ino !== inode || stat.size < offset) {
+            inode = stat.ino;
+            offset = 0;
+            partial = '';
+        }
+        const size = stat.size;
+        if (size === offset) return;
+
+        let buffer;
+        try {
+            const fd = fs.openSync(AUDIT_PATH, 'r');
+            try {
+                buffer = Buffer.alloc(size - offset);
+                buffer = buffer.subarray(0, fs.readSync(fd, buffer, 0, buffer.length, offset));
+            } finally {
+                fs.closeSync(fd);
+            }
+        } catch {
+            // Rotated or removed since the stat: the next event reads the new file
+            offset = 0;
+            partial = '';
+            return;
+        }
+        offset += buffer.length;
+
+        const lines = (partial + buffer.toString('utf8')).split('\n');
+        partial = lines.pop();
+        lines.filter(Boolean).forEach(line => {
+            try {
+                onEntry(JSON.parse(line));
+            } catch {
+                // Malformed line
+            }
+        });
+    };
+
+    const watcher = fs.watch(LOG_DIR, (type, filename) => {
+        if (filename === path.basename(AUDIT_PATH)) readNew();
+    }).on('error', (err) => {
+        // Entries are still written and queryable; only the live feed stops
+        console.error(`Stopped following ${AUDIT_PATH}: ${err.message}`);
+    });
+    return () => watcher.close();
+}
+
+module.exports = {
+    AUDIT_PATH,
+    SOURCES,
+    record,
+    query,
+    follow
+};
@@ -0,0 +1,142 @@
+/**
+ * API protection
+ *
+ * The dashboard can start arbitrary commands and kill processes, so the
+ * HTTP API only answers the local machine:
+ *
+ *   - the server binds to 127.0.0.1 unless DASHBOARD_HOST says otherwise
+ *   - the Host header must name a loopback host (localhost, *.localhost,
+ *     127.0.0.1, [::1]) or one listed in DASHBOARD_ALLOWED_HOSTS, which
+ *     stops DNS-rebinding pages from talking to it under their own name
+ *   - a browser Origin, when sent, must be one of those hosts on our port
+ *   - requests that change anything carry the per-install token, as an
+ *     X-Dashboard-Token header or `Authorization: Bearer <token>`
+ *
+ * The token is generated on first use and kept in .dashboard-token (mode
+ * 600) next to services.json; DASHBOARD_TOKEN overrides it. The dashboard
+ * page gets it injected when it is served to a loopback client.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const TOKEN_PATH = path.join(__dirname, '..', '.dashboard-token');
+const TOKEN_HEADER = 'x-dashboard-token';
+const DEFAULT_HOST = '127.0.0.1';
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+let cachedToken = null;
+
+// The install's token, created on first call
+function getToken() {
+    if (process.env.DASHBOARD_TOKEN) return process.env.DASHBOARD_TOKEN;
+    if (cachedToken) return cachedToken;
+    try {
+        cachedToken = fs.readFileSync(TOKEN_PATH, 'utf8').trim();
+    } catch {
+        // First run
+    }
+    if (!cachedToken) {
+        cachedToken = crypto.randomBytes(24).toString('hex');
+        fs.writeFileSync(TOKEN_PATH, cachedToken + '\n', { mode: 0o600 });
+    }
+    return cachedToken;
+}
+
+// Interface the server listens on
+function getBindHost() {
+    return process.env.DASHBOARD_HOST || DEFAULT_HOST;
+}
+
+// Extra hostnames from DASHBOARD_ALLOWED_HOSTS (comma separated)
+function extraHosts() {
+    return (process.env.DASHBOARD_ALLOWED_HOSTS || '')
+        .split(',').map(h => h.trim().toLowerCase()).filter(Boolean);
+}
+
+// Split "host:port" (or "[::1]:port") into its parts
+function parseHost(value) {
+    const match = String(value || '').toLowerCase().match(/^(\[[^\]]+\]|[^:]+)(?::(\d+))?$/);
+    return match ? { hostname: match[1], port: match[2] ? parseInt(match[2]) : null } : null;
+}
+
+// Whether `hostname` names this machine or an allow-listed host
+function isAllowedHostname(hostname) {
+    return LOOPBACK_HOSTS.includes(hostname) || hostname.endsWith('.localhost') ||
+        extraHosts().includes(hostname);
+}
+
+// Whether a socket address is the local machine
+function isLoopback(address) {
+    return /^(127\.|::1$|::ffff:127\.)/.test(address || '');
+}
+
+// Whether the Host header names us
+function checkHost(req, port) {
+    const host = parseHost(req.headers.host);
+    return Boolean(host) && isAllowedHostname(host.hostname) && (host.port === null || host.port === port);
+}
+
+// Whether a browser Origin is one of our own pages
+function isAllowedOrigin(origin, port) {
+    let url;
+    try {
+        url = new URL(origin);
+    } catch {
+        return false;
+    }
+    const hostname = url.hostname.toLowerCase();
+    const originPort = url.port ? parseInt(url.port) : (url.protocol === 'https:' ? 443 : 80);
+    return ['http:', 'https:'].includes(url.protocol) && isAllowedHostname(hostname) && originPort === port;
+}
+
+// Token presented with the request, if any
+function requestToken(req) {
+    const header = req.headers[TOKEN_HEADER];
+    if (header) return String(header);
+    const match = (req.headers.authorization || '').match(/^Bearer\s+(\S+)$/i);
+    return match ? match[1] : null;
+}
+
+// Constant-time token comparison
+function tokenMatches(presented) {
+    const expected = Buffer.from(getToken());
+    const actual = Buffer.from(presented || '');
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+// Check a request. Returns null when it may proceed, else { status, error }:
+// 403 for a foreign Host or Origin, 401 for a mutating request without a
+// valid token.
+function check(req, port) {
+    if (!checkHost(req, port)) {
+        return { status: 403, error: `Host "${req.headers.host || ''}" is not allowed` };
+    }
+    const origin = req.headers.origin;
+    if (origin && !isAllowedOrigin(origin, port)) {
+        return { status: 403, error: `Origin ${origin} is not allowed` };
+    }
+    if (MUTATING_METHODS.includes(req.method) && !tokenMatches(requestToken(req))) {
+        return { status: 401, error: 'Missing or invalid dashboard token' };
+    }
+    return null;
+}
+
+// The dashboard page with the token filled in
+function injectToken(html) {
+    return html.replace('<meta name="dashboard-token" content="">',
+        `<meta name="dashboard-token" content="${getToken()}">`);
+}
+
+module.exports = {
+    TOKEN_PATH,
+    DEFAULT_HOST,
+    getToken,
+    getBindHost,
+    isLoopback,
+    isAllowedOrigin,
+    check,
+    injectToken
+};
@@ -0,0 +1,552 @@
+/**
+ * services.json loading, validation and saving
+ *
+ * Every write validates the whole config first (field types, duplicate
+ * ports and names, dependency, group and profile references), then
+ * writes to a temp file and renames it into place, keeping the previous
+ * version as services.json.bak. Writes from this process are queued so
+ * concurrent requests can't interleave their read-modify-write cycles.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const groups = require('./groups');
+const supervisor = require('./supervisor');
+const env = require('./env');
+const profiles = require('./profiles');
+const containers = require('./containers');
+const proxy = require('./proxy');
+const launcher = require('./launcher');
+
+const CONFIG_PATH = path.join(__dirname, '..', 'services.json');
+const BACKUP_PATH = `${CONFIG_PATH}.bak`;
+// Where server.js serves the dashboard and its API
+const DASHBOARD_PORT = 9999;
+
+const SERVICE_TYPES = ['frontend', 'backend', 'api'];
+const HEALTH_CHECK_TYPES = ['http', 'tcp', 'command'];
+
+// Field-level validation failure. `conflict` marks clashes with other
+// entries (duplicate port/name, broken references) rather than malformed input.
+class ValidationError extends Error {
+    constructor(errors, { conflict = false } = {}) {
+        super(errors.map(e => `${e.field}: ${e.message}`).join('; '));
+        this.name = 'ValidationError';
+        this.errors = errors;
+        this.conflict = conflict;
+    }
+}
+
+// The whole config (services and groups)
+function loadConfig() {
+    return JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+}
+
+// Just the service entries
+function loadServices() {
+    return loadConfig().services;
+}
+
+const isString = v => typeof v === 'string';
+const isPositiveInt = v => Number.isInteger(v) && v > 0;
+const isPort = v => Number.isInteger(v) && v >= 1 && v <= 65535;
+const isStatusList = v => [].concat(v).every(s => Number.isInteger(s) && s >= 100 && s <= 599);
+const isEndpoint = e => (isString(e) && e.startsWith('/')) ||
+    (e && typeof e === 'object' && !Array.isArray(e) && isString(e.path) && e.path.startsWith('/') &&
+        (e.expectedStatus === undefined || isStatusList(e.expectedStatus)) &&
+        (e.bodyContains === undefined || (isString(e.bodyContains) && e.bodyContains !== '')));
+const isTask = t => (isString(t) && t.trim() !== '') ||
+    (t && typeof t === 'object' && !Array.isArray(t) && isString(t.cmd) && t.cmd.trim() !== '' &&
+        (t.description === undefined || isString(t.description)) &&
+        (t.timeout === undefined || isPositiveInt(t.timeout)));
+const isObject = v => Boolean(v) && typeof v === 'object' && !Array.isArray(v);
+const isStringList = v => Array.isArray(v) && v.every(isString);
+const isHostLabel = v => isString(v) && /^[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)*$/.test(v);
+const isEnvFile = v => (isString(v) && v !== '') || (Array.isArray(v) && v.every(f => isString(f) && f !== ''));
+
+const ENV_MESSAGE = 'must map variable names to strings, numbers or booleans';
+const ENV_FILE_MESSAGE = 'must be a file path or an array of them';
+
+// Schema for a service entry: field -> { required, check, message }.
+// `required` may be a function of the entry.
+const SERVICE_SCHEMA = {
+    name: { required: true, check: v => isString(v) && v.trim() !== '', message: 'must be a non-empty string' },
+    port: { required: true, check: isPort, message: 'must be an integer between 1 and 65535' },
+    path: { required: true, check: v => isString(v) && v.trim() !== '', message: 'must be a non-empty path' },
+    type: { required: true, check: v => SERVICE_TYPES.includes(v), message: `must be one of ${SERVICE_TYPES.join(', ')}` },
+    startCmd: { required: s => !containers.isContainer(s), check: v => isString(v) && v.trim() !== '', message: 'must be a non-empty command' },
+    alias: { check: isHostLabel, message: 'must be a lowercase hostname label like "admin" (used as admin.localhost)' },
+    runtime: { check: v => containers.RUNTIMES.includes(v), message: `must be one of ${containers.RUNTIMES.join(', ')}` },
+    github: { check: v => v === '' || (isString(v) && /^https?:\/\//.test(v)), message: 'must be an http(s) URL or empty' },
+    endpoints: {
+        check: v => Array.isArray(v) && v.every(isEndpoint),
+        message: 'must be an array of paths starting with / or { path, expectedStatus, bodyContains } objects'
+    },
+    dependsOn: {
+        check: v => Array.isArray(v) && v.every(d => isPort(d) || (isString(d) && d !== '')),
+        message: 'must be an array of ports or service names'
+    },
+    tasks: {
+        check: v => v && typeof v === 'object' && !Array.isArray(v) &&
+            Object.entries(v).every(([name, task]) => /^[\w.:-]+$/.test(name) && isTask(task)),
+        message: 'must map task names (letters, digits, . : _ -) to commands or { cmd, description, timeout }'
+    },
+    env: { check: env.isEnvMap, message: ENV_MESSAGE },
+    envFile: { check: isEnvFile, message: ENV_FILE_MESSAGE },
+    stopGracePeriod: { check: isPositiveInt, message: 'must be a positive number of milliseconds' },
+    restart: {
+        check: v => (isString(v) && supervisor.POLICIES.includes(v)) ||
+            (v && typeof v === 'object' && supervisor.POLICIES.includes(v.policy) &&
+                ['maxRestarts', 'window', 'backoff', 'maxBackoff'].every(k => v[k] === undefined || isPositiveInt(v[k]))),
+        message: `must be one of ${supervisor.POLICIES.join(', ')} or { policy, maxRestarts, window, backoff, maxBackoff }`
+    }
+};
+
+// Validate a healthCheck block
+function validateHealthCheck(check) {
+    const errors = [];
+    const add = (field, message) => errors.push({ field: `healthCheck.${field}`, message });
+
+    if (!check || typeof check !== 'object' || Array.isArray(check)) {
+        return [{ field: 'healthCheck', message: 'must be an object' }];
+    }
+    if (check.type !== undefined && !HEALTH_CHECK_TYPES.includes(check.type)) {
+        add('type', `must be one of ${HEALTH_CHECK_TYPES.join(', ')}`);
+    }
+    if (check.path !== undefined && !(isString(check.path) && check.path.startsWith('/'))) {
+        add('path', 'must start with /');
+    }
+    if (check.expectedStatus !== undefined && !isStatusList(check.expectedStatus)) {
+        add('expectedStatus', 'must be an HTTP status code or an array of them');
+    }
+    if (check.type === 'command' && !(isString(check.command) && check.command.trim())) {
+        add('command', 'is required for command health checks');
+    }
+    ['interval', 'timeout'].forEach(key => {
+        if (check[key] !== undefined && !isPositiveInt(check[key])) add(key, 'must be a positive number of milliseconds');
+    });
+    return errors;
+}
+
+// Validate the container or compose block a container runtime needs
+function validateRuntime(service) {
+    const errors = [];
+    if (service.runtime === 'docker') {
+        const spec = service.container;
+        const add = (field, message) => errors.push({ field: `container.${field}`, message });
+        if (!isObject(spec)) return [{ field: 'container', message: 'is required for docker services' }];
+        if (!(isString(spec.image) && spec.image.trim())) add('image', 'is required');
+        if (spec.name !== undefined && !(isString(spec.name) && /^[\w][\w.-]*$/.test(spec.name))) {
+            add('name', 'must be a valid container name');
+        }
+        if (spec.containerPort !== undefined && !isPort(spec.containerPort)) add('containerPort', SERVICE_SCHEMA.port.message);
+        ['volumes', 'args', 'command'].forEach(key => {
+            if (spec[key] !== undefined && !isStringList(spec[key])) add(key, 'must be an array of strings');
+        });
+    } else if (service.runtime === 'compose') {
+        const spec = service.compose;
+        const add = (field, message) => errors.push({ field: `compose.${field}`, message });
+        if (!isObject(spec)) return [{ field: 'compose', message: 'is required for compose services' }];
+        if (!(isString(spec.service) && spec.service.trim())) add('service', 'is required');
+        ['file', 'project'].forEach(key => {
+            if (spec[key] !== undefined && !(isString(spec[key]) && spec[key].trim())) add(key, 'must be a non-empty string');
+        });
+    }
+    return errors;
+}
+
+// Validate one service entry on its own. Returns [{ field, message }].
+function validateService(service) {
+    if (!service || typeof service !== 'object' || Array.isArray(service)) {
+        return [{ field: 'service', message: 'must be a JSON object' }];
+    }
+
+    const errors = [];
+    Object.entries(SERVICE_SCHEMA).forEach(([field, rule]) => {
+        const value = service[field];
+        if (value === undefined || value === null) {
+            const required = typeof rule.required === 'function' ? rule.required(service) : rule.required;
+            if (required) errors.push({ field, message: 'is required' });
+        } else if (!rule.check(value)) {
+            errors.push({ field, message: rule.message });
+        }
+    });
+    if (service.healthCheck !== undefined) {
+        errors.push(...validateHealthCheck(service.healthCheck));
+    }
+    errors.push(...validateRuntime(service));
+    return errors;
+}
+
+// Field errors in the profiles section
+function validateProfiles(config) {
+    const errors = [];
+    if (config.defaultProfile !== undefined && !isString(config.defaultProfile)) {
+        errors.push({ field: 'defaultProfile', message: 'must be a profile name' });
+    }
+    if (config.profiles === undefined) return errors;
+    if (!Array.isArray(config.profiles)) {
+        return [...errors, { field: 'profiles', message: 'must be an array' }];
+    }
+
+    config.profiles.forEach((profile, i) => {
+        const add = (field, message) => errors.push({ field: `profiles[${i}].${field}`, message });
+        if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+            add('profile', 'must be a JSON object');
+            return;
+        }
+        if (!isString(profile.name) || profile.name.trim() === '') add('name', 'must be a non-empty string');
+        if (profile.description !== undefined && !isString(profile.description)) add('description', 'must be a string');
+        if (profile.services !== undefined && !(Array.isArray(profile.services) &&
+            profile.services.every(ref => isString(ref) || isPort(ref)))) {
+            add('services', 'must be an array of service names or ports');
+        }
+        if (profile.env !== undefined && !env.isEnvMap(profile.env)) add('env', ENV_MESSAGE);
+        if (profile.envFile !== undefined && !isEnvFile(profile.envFile)) add('envFile', ENV_FILE_MESSAGE);
+        if (profile.overrides === undefined) return;
+        if (!profile.overrides || typeof profile.overrides !== 'object' || Array.isArray(profile.overrides)) {
+            add('overrides', 'must map service names or ports to overrides');
+            return;
+        }
+        Object.entries(profile.overrides).forEach(([ref, override]) => {
+            const addOverride = (field, message) => add(`overrides.${ref}${field ? `.${field}` : ''}`, message);
+            if (!override || typeof override !== 'object' || Array.isArray(override)) {
+                addOverride('', 'must be a JSON object');
+                return;
+            }
+            Object.keys(override).filter(key => !profiles.OVERRIDE_FIELDS.includes(key)).forEach(key => {
+                addOverride(key, `cannot be overridden (only ${profiles.OVERRIDE_FIELDS.join(', ')})`);
+            });
+            if (override.port !== undefined && !isPort(override.port)) addOverride('port', SERVICE_SCHEMA.port.message);
+            if (override.startCmd !== undefined && !SERVICE_SCHEMA.startCmd.check(override.startCmd)) {
+                addOverride('startCmd', SERVICE_SCHEMA.startCmd.message);
+            }
+            if (override.env !== undefined && !env.isEnvMap(override.env)) addOverride('env', ENV_MESSAGE);
+            if (override.envFile !== undefined && !isEnvFile(override.envFile)) addOverride('envFile', ENV_FILE_MESSAGE);
+            if (override.healthCheck !== undefined) {
+                validateHealthCheck(override.healthCheck).forEach(e => addOverride(e.field, e.message));
+            }
+        });
+    });
+    return errors;
+}
+
+// Profile references must resolve, names must be unique, and no profile
+// may put two services on one port
+function findProfileConflicts(config) {
+    const errors = [];
+    const seen = new Set();
+    const known = ref => groups.findService(config.services, ref);
+    (config.profiles || []).forEach((profile, i) => {
+        const add = (field, message) => errors.push({ field: `profiles[${i}].${field}`, message });
+        if (seen.has(profile.name)) add('name', `"${profile.name}" is already used by another profile`);
+        seen.add(profile.name);
+        (profile.services || []).filter(ref => !known(ref)).forEach(ref => {
+            add('services', `unknown service "${ref}"`);
+        });
+        Object.keys(profile.overrides || {}).filter(ref => !known(ref)).forEach(ref => {
+            add('overrides', `unknown service "${ref}"`);
+        });
+    });
+    if (config.defaultProfile !== undefined && !seen.has(config.defaultProfile)) {
+        errors.push({ field: 'defaultProfile', message: `unknown profile "${config.defaultProfile}"` });
+    }
+    if (errors.length > 0) return errors;
+
+    (config.profiles || []).forEach((profile, i) => {
+        findConflicts(profiles.apply(config, profile.name).services).forEach(e => {
+            errors.push({ field: `profiles[${i}].${e.field}`, message: `${e.message} in profile "${profile.name}"` });
+        });
+    });
+    return errors;
+}
+
+// Groups must be named lists of service names or ports
+function validateGroups(config) {
+    if (config.groups === undefined) return [];
+    if (!Array.isArray(config.groups)) return [{ field: 'groups', message: 'must be an array' }];
+    const errors = [];
+    config.groups.forEach((group, i) => {
+        const add = (field, message) => errors.push({ field: `groups[${i}].${field}`, message });
+        if (!group || typeof group !== 'object' || Array.isArray(group)) {
+            add('group', 'must be a JSON object');
+            return;
+        }
+        if (!isString(group.name) || group.name.trim() === '') add('name', 'must be a non-empty string');
+        if (!(Array.isArray(group.services) && group.services.every(ref => isPort(ref) || (isString(ref) && ref !== '')))) {
+            add('services', 'must be an array of service names or ports');
+        }
+    });
+    return errors;
+}
+
+// dependsOn and group entries must name configured services, and
+// dependencies must not form a cycle
+function findReferenceErrors(config) {
+    const errors = [];
+    const known = ref => groups.findService(config.services, ref);
+    config.services.forEach((s, i) => {
+        (s.dependsOn || []).filter(ref => !known(ref)).forEach(ref => {
+            errors.push({ field: `services[${i}].dependsOn`, message: `unknown service "${ref}"` });
+        });
+    });
+    (config.groups || []).forEach((g, i) => {
+        g.services.filter(ref => !known(ref)).forEach(ref => {
+            errors.push({ field: `groups[${i}].services`, message: `unknown service "${ref}"` });
+        });
+    });
+    if (errors.length > 0) return errors;
+
+    try {
+        groups.startOrder(config.services, config.services);
+    } catch (err) {
+        if (!err.cycle) throw err;
+        errors.push({ field: `services[${config.services.indexOf(err.cycle[0])}].dependsOn`, message: err.message });
+    }
+    return errors;
+}
+
+// The proxy's port must not be the dashboard's or one a service (in any
+// profile) listens on
+function findProxyConflicts(config) {
+    const settings = proxy.settings(config);
+    if (!settings) return [];
+    const port = settings.port;
+    const field = config.proxy.port === undefined ? 'proxy' : 'proxy.port';
+    if (port === DASHBOARD_PORT) {
+        return [{ field, message: `${port} is the dashboard's own port` }];
+    }
+    const owner = profiles.apply(config, profiles.ALL).services.find(s => s.port === port);
+    return owner ? [{ field, message: `${port} is already used by ${owner.name}` }] : [];
+}
+
+// Ports and names must be unique across services
+function findConflicts(services) {
+    const errors = [];
+    const seenPorts = new Map();
+    const seenNames = new Map();
+    const seenHosts = new Map();
+    services.forEach(s => {
+        if (seenPorts.has(s.port)) {
+            errors.push({ field: 'port', message: `${s.port} is already used by ${seenPorts.get(s.port)}` });
+        }
+        const name = String(s.name).trim().toLowerCase();
+        if (seenNames.has(name)) {
+            errors.push({ field: 'name', message: `"${s.name}" is already used by the service on port ${seenNames.get(name)}` });
+        }
+        const host = proxy.hostnameOf(s);
+        if (seenHosts.has(host) && !seenNames.has(name)) {
+            errors.push({ field: s.alias ? 'alias' : 'name', message: `${host} is already used by the service on port ${seenHosts.get(host)}` });
+        }
+        seenPorts.set(s.port, s.name);
+        seenNames.set(name, s.port);
+        seenHosts.set(host, s.port);
+    });
+    return errors;
+}
+
+// Validate a whole config, throwing a ValidationError on the first problem
+// class found (field errors, then conflicts, then references)
+function validateConfig(config) {
+    if (!config || !Array.isArray(config.services)) {
+        throw new ValidationError([{ field: 'services', message: 'must be an array' }]);
+    }
+
+    const fieldErrors = [];
+    if (config.env !== undefined && !env.isEnvMap(config.env)) {
+        fieldErrors.push({ field: 'env', message: ENV_MESSAGE });
+    }
+    if (config.envFile !== undefined && !isEnvFile(config.envFile)) {
+        fieldErrors.push({ field: 'envFile', message: ENV_FILE_MESSAGE });
+    }
+    if (config.discovery !== undefined) {
+        const { roots, maxDepth } = config.discovery || {};
+        if (roots !== undefined && !(Array.isArray(roots) && roots.every(r => isString(r) && r !== ''))) {
+            fieldErrors.push({ field: 'discovery.roots', message: 'must be an array of directory paths' });
+        }
+        if (maxDepth !== undefined && !isPositiveInt(maxDepth)) {
+            fieldErrors.push({ field: 'discovery.maxDepth', message: 'must be a positive integer' });
+        }
+    }
+    if (config.proxy !== undefined) {
+        const block = config.proxy;
+        if (!isObject(block)) {
+            fieldErrors.push({ field: 'proxy', message: 'must be an object like { "port": 9980 }' });
+        } else if (block.port !== undefined && !isPort(block.port)) {
+            fieldErrors.push({ field: 'proxy.port', message: SERVICE_SCHEMA.port.message });
+        }
+    }
+    if (config.launchers !== undefined) {
+        if (!isObject(config.launchers)) {
+            fieldErrors.push({ field: 'launchers', message: `must be an object with ${launcher.TARGETS.join(', ')}` });
+        } else {
+            Object.entries(config.launchers).forEach(([target, value]) => {
+                if (!launcher.TARGETS.includes(target)) {
+                    fieldErrors.push({ field: `launchers.${target}`, message: `is not a target (${launcher.TARGETS.join(', ')})` });
+                } else if (!launcher.isLauncher(value)) {
+                    fieldErrors.push({ field: `launchers.${target}`, message: 'must be a preset or program name, or an argument array' });
+                }
+            });
+        }
+    }
+    config.services.forEach((s, i) => {
+        validateService(s).forEach(e => fieldErrors.push({ ...e, field: `services[${i}].${e.field}` }));
+    });
+    fieldErrors.push(...validateGroups(config));
+    fieldErrors.push(...validateProfiles(config));
+    if (fieldErrors.length > 0) throw new ValidationError(fieldErrors);
+
+    const conflicts = findConflicts(config.services);
+    if (conflicts.length > 0) throw new ValidationError(conflicts, { conflict: true });
+
+    const profileConflicts = findProfileConflicts(config);
+    if (profileConflicts.length > 0) throw new ValidationError(profileConflicts, { conflict: true });
+
+    const proxyConflicts = findProxyConflicts(config);
+    if (proxyConflicts.length > 0) throw new ValidationError(proxyConflicts, { conflict: true });
+
+    const referenceErrors = findReferenceErrors(config);
+    if (referenceErrors.length > 0) throw new ValidationError(referenceErrors, { conflict: true });
+}
+
+// Write the config atomically, keeping a backup of the previous version
+function writeConfig(config) {
+    validateConfig(config);
+    const tmp = `${CONFIG_PATH}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(config, null, 2) + '\n');
+    if (fs.existsSync(CONFIG_PATH)) {
+        fs.copyFileSync(CONFIG_PATH, BACKUP_PATH);
+    }
+    fs.renameSync(tmp, CONFIG_PATH);
+}
+
+// Serialize config updates within this process
+let queue = Promise.resolve();
+
+// Apply `fn` to a fresh copy of the config and save the result
+function updateConfig(fn) {
+    const run = queue.then(() => {
+        const config = loadConfig();
+        const result = fn(config);
+        writeConfig(config);
+        return result;
+    });
+    queue = run.catch(() => {});
+    return run;
+}
+
+// Validate a single service, then check it against the others
+function checkService(service, others) {
+    const errors = validateService(service);
+    if (errors.length > 0) throw new ValidationError(errors);
+
+    const conflicts = [];
+    const portOwner = others.find(s => s.port === service.port);
+    if (portOwner) {
+        conflicts.push({ field: 'port', message: `${service.port} is already used by ${portOwner.name}` });
+    }
+    const name = service.name.trim().toLowerCase();
+    const nameOwner = others.find(s => String(s.name).trim().toLowerCase() === name);
+    if (nameOwner) {
+        conflicts.push({ field: 'name', message: `"${service.name}" is already used by the service on port ${nameOwner.port}` });
+    }
+    const host = proxy.hostnameOf(service);
+    const hostOwner = others.find(s => proxy.hostnameOf(s) === host);
+    if (hostOwner && !nameOwner) {
+        conflicts.push({ field: service.alias ? 'alias' : 'name', message: `${host} is already used by the service on port ${hostOwner.port}` });
+    }
+    if (conflicts.length > 0) throw new ValidationError(conflicts, { conflict: true });
+}
+
+// Append a new service
+function addService(service) {
+    return updateConfig(config => {
+        checkService(service, config.services);
+        config.services.push(service);
+        return service;
+    });
+}
+
+// Apply `changes` over `service`; a null value removes that field
+function merge(service, changes) {
+    const merged = { ...service, ...changes };
+    Object.keys(merged).forEach(key => merged[key] === null && delete merged[key]);
+    return merged;
+}
+
+// Append several services in one write: all of them are added, or none.
+// Errors name the offending entry as services[i].
+function addServices(services) {
+    return updateConfig(config => {
+        const errors = [];
+        let conflict = false;
+        services.forEach((service, i) => {
+            try {
+                checkService(service, config.services);
+                config.services.push(service);
+            } catch (err) {
+                if (!(err instanceof ValidationError)) throw err;
+                conflict = conflict || err.conflict;
+                errors.push(...err.errors.map(e => ({ ...e, field: `services[${i}].${e.field}` })));
+            }
+        });
+        if (errors.length > 0) throw new ValidationError(errors, { conflict });
+        return services;
+    });
+}
+
+// Replace fields of the service on `port` (the port itself may change)
+function updateService(port, changes) {
+    return updateConfig(config => {
+        const index = config.services.findIndex(s => s.port === port);
+        if (index === -1) throw new Error(`No service configured for port ${port}`);
+
+        const updated = merge(config.services[index], changes);
+        checkService(updated, config.services.filter((_, i) => i !== index));
+        config.services[index] = updated;
+        return updated;
+    });
+}
+
+// Add a copy of the service on `port` with `changes` applied (at least a
+// new port and name). Copies fields the caller may not have seen, like
+// env values that are masked in API output.
+function duplicateService(port, changes) {
+    return updateConfig(config => {
+        const source = config.services.find(s => s.port === port);
+        if (!source) throw new Error(`No service configured for port ${port}`);
+
+        const copy = merge(JSON.parse(JSON.stringify(source)), changes);
+        checkService(copy, config.services);
+        config.services.push(copy);
+        return copy;
+    });
+}
+
+// Delete the service on `port`. Fails if other entries still reference it.
+function removeService(port) {
+    return updateConfig(config => {
+        const service = config.services.find(s => s.port === port);
+        if (!service) throw new Error(`No service configured for port ${port}`);
+        config.services = config.services.filter(s => s.port !== port);
+        return service;
+    });
+}
+
+module.exports = {
+    CONFIG_PATH,
+    BACKUP_PATH,
+    DASHBOARD_PORT,
+    SERVICE_TYPES,
+    ValidationError,
+    loadConfig,
+    loadServices,
+    validateService,
+    validateConfig,
+    updateConfig,
+    addService,
+    addServices,
+    updateService,
+    duplicateService,
+    removeService
+};
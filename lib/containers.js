@@ -0,0 +1,327 @@
+/**
+ * Container-backed services
+ *
+ * A service's `runtime` says how it runs: "process" (the default: startCmd
+ * spawned on the host), "docker" or "compose". Container services are
+ * started, stopped, inspected and read through the container CLI:
+ *
+ *   { "name": "Postgres", "port": 5432, "path": "~/ztgi/infra", "type": "backend",
+ *     "runtime": "docker",
+ *     "container": { "image": "postgres:16", "name": "dev-postgres", "containerPort": 5432,
+ *                    "volumes": ["pgdata:/var/lib/postgresql/data"], "args": [] } }
+ *
+ *   { "name": "Redis", "port": 6379, "path": "~/ztgi/infra", "type": "backend",
+ *     "runtime": "compose", "compose": { "service": "redis", "file": "docker-compose.yml" } }
+ *
+ * Docker containers are created with `docker run -d` on first start,
+ * publishing port:containerPort, with the service's env passed in an
+ * --env-file (so values never show up in `ps`). The container is labelled
+ * with a hash of everything it was created from - image, ports, volumes,
+ * args, command and env - and reused while that still matches; a start
+ * with a different spec (an edited entry, or a per-start env override)
+ * replaces it. Compose services run from the service's path with the env
+ * available for interpolation; compose recreates changed containers itself.
+ * Status comes from the container's state (and its own healthcheck, if it
+ * has one), not from who holds the port.
+ *
+ * The CLI is `docker` unless DASHBOARD_CONTAINER_CLI names another binary
+ * (podman, or a stand-in script for tests); compose commands run as
+ * `<cli> compose ...`.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile, spawn } = require('child_process');
+const health = require('./health');
+
+const RUNTIMES = ['process', 'docker', 'compose'];
+const CLI_TIMEOUT = 60000;
+const DEFAULT_READY_TIMEOUT = 60000;
+const READY_INTERVAL = 1000;
+const SPEC_LABEL = 'lhd.spec';
+
+function expandPath(p) {
+    return p.replace(/^~/, os.homedir());
+}
+
+function cli() {
+    return process.env.DASHBOARD_CONTAINER_CLI || 'docker';
+}
+
+// Whether a service runs in a container
+function isContainer(service) {
+    return service.runtime === 'docker' || service.runtime === 'compose';
+}
+
+// Name of a docker service's container
+function containerName(service) {
+    return (service.container && service.container.name) ||
+        `lhd-${service.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')}`;
+}
+
+// Run the container CLI; resolves { ok, stdout, stderr } (never rejects)
+function run(args, options = {}) {
+    return new Promise((resolve) => {
+        const env = options.env ? { ...process.env, ...options.env } : process.env;
+        execFile(cli(), args, { cwd: options.cwd, env, timeout: options.timeout || CLI_TIMEOUT, maxBuffer: 8 * 1024 * 1024 },
+            (err, stdout, stderr) => {
+                resolve({
+                    ok: !err,
+                    stdout: String(stdout),
+                    stderr: String(stderr),
+                    error: err ? (String(stderr).trim() || err.message) : null
+                });
+            });
+    });
+}
+
+// Where CLI commands for a service run: compose resolves its file from
+// the service's path; docker commands don't need (or have) one
+function cwdOf(service) {
+    return service.runtime === 'compose' ? expandPath(service.path) : undefined;
+}
+
+// `compose` arguments selecting the service's project and file
+function composeArgs(service) {
+    const spec = service.compose || {};
+    return [
+        'compose',
+        ...(spec.file ? ['-f', spec.file] : []),
+        ...(spec.project ? ['-p', spec.project] : [])
+    ];
+}
+
+// The CLI's view of the container: { exists, status, running, health,
+// exitCode, startedAt, id, image, spec }
+async function inspect(service) {
+    if (service.runtime === 'compose') {
+        const result = await run([...composeArgs(service), 'ps', '--all', '--format', 'json', service.compose.service],
+            { cwd: cwdOf(service) });
+        if (!result.ok) return { exists: false, status: 'missing', running: false, error: result.error };
+        // One JSON object per line (newer compose) or a single array (older)
+        const text = result.stdout.trim();
+        let entries = [];
+        try {
+            entries = text.startsWith('[') ? JSON.parse(text) : text.split('\n').filter(Boolean).map(line => JSON.parse(line));
+        } catch {
+            return { exists: false, status: 'missing', running: false, error: 'Unreadable compose ps output' };
+        }
+        const entry = entries.find(e => e.Service === service.compose.service) || entries[0];
+        if (!entry) return { exists: false, status: 'missing', running: false };
+        const status = String(entry.State || '').toLowerCase();
+        return {
+            exists: true,
+            status,
+            running: status === 'running',
+            health: entry.Health || null,
+            exitCode: entry.ExitCode === undefined ? null : entry.ExitCode,
+            startedAt: null,
+            id: entry.ID || null,
+            image: entry.Image || null
+        };
+    }
+
+    const result = await run(['inspect', containerName(service)]);
+    if (!result.ok) return { exists: false, status: 'missing', running: false };
+    let details;
+    try {
+        details = JSON.parse(result.stdout)[0];
+    } catch {
+        return { exists: false, status: 'missing', running: false, error: 'Unreadable inspect output' };
+    }
+    const state = details.State || {};
+    return {
+        exists: true,
+        status: state.Status,
+        running: Boolean(state.Running),
+        health: state.Health ? state.Health.Status : null,
+        exitCode: state.ExitCode === undefined ? null : state.ExitCode,
+        startedAt: state.StartedAt || null,
+        id: details.Id ? details.Id.slice(0, 12) : null,
+        image: (details.Config && details.Config.Image) || null,
+        spec: ((details.Config && details.Config.Labels) || {})[SPEC_LABEL] || null
+    };
+}
+
+// Map container state to a readiness state { state, detail }
+function readiness(info) {
+    if (info.running) {
+        if (info.health === 'starting') return { state: health.STATES.STARTING, detail: 'Container healthcheck starting' };
+        if (info.health === 'unhealthy') return { state: health.STATES.UNHEALTHY, detail: 'Container healthcheck failing' };
+        return { state: health.STATES.HEALTHY, detail: `Container running${info.health ? ` (${info.health})` : ''}` };
+    }
+    if (info.status === 'restarting') return { state: health.STATES.STARTING, detail: 'Container restarting' };
+    if (info.exists && info.exitCode) {
+        return { state: health.STATES.CRASHED, detail: `Container ${info.status}, exit code ${info.exitCode}` };
+    }
+    return {
+        state: health.STATES.STOPPED,
+        detail: info.error || (info.exists ? `Container ${info.status}` : 'No container')
+    };
+}
+
+// Hash of what a docker service's container is created from
+function specHash(service, vars) {
+    const spec = service.container;
+    const fields = {
+        image: spec.image,
+        ports: [service.port, spec.containerPort || service.port],
+        volumes: spec.volumes || [],
+        args: spec.args || [],
+        command: spec.command || [],
+        env: Object.keys(vars).sort().map(key => [key, String(vars[key])])
+    };
+    return crypto.createHash('sha256').update(JSON.stringify(fields)).digest('hex').slice(0, 16);
+}
+
+// `docker run` arguments for a service's container
+function runArgs(service, envFile, spec) {
+    const container = service.container;
+    return [
+        'run', '-d',
+        '--name', containerName(service),
+        '--label', `${SPEC_LABEL}=${spec}`,
+        '-p', `${service.port}:${container.containerPort || service.port}`,
+        '--env-file', envFile,
+        ...(container.volumes || []).flatMap(volume => ['-v', volume]),
+        ...(container.args || []),
+        container.image,
+        ...(container.command || [])
+    ];
+}
+
+// Create and start a docker service's container, passing its env through
+// a private temp file
+async function createContainer(service, vars, spec) {
+    const multiline = Object.keys(vars).find(key => String(vars[key]).includes('\n'));
+    if (multiline) {
+        return { ok: false, error: `${multiline} contains a newline, which an env file can't carry` };
+    }
+    const envFile = path.join(os.tmpdir(), `lhd-env-${process.pid}-${Date.now()}`);
+    fs.writeFileSync(envFile, Object.entries(vars).map(([key, value]) => `${key}=${value}\n`).join(''), { mode: 0o600 });
+    try {
+        return await run(runArgs(service, envFile, spec));
+    } finally {
+        fs.rmSync(envFile, { force: true });
+    }
+}
+
+// Start a docker service's container: reuse it if it was created from the
+// same spec, else replace it
+async function startDocker(service, vars) {
+    const info = await inspect(service);
+    const spec = specHash(service, vars);
+    if (info.exists && info.spec === spec) {
+        return run(['start', containerName(service)]);
+    }
+    if (info.exists) {
+        const removed = await run(['rm', '-f', containerName(service)]);
+        if (!removed.ok) return removed;
+    }
+    return createContainer(service, vars, spec);
+}
+
+// Start the container (creating or replacing a docker one as needed) and
+// wait until it is running and, if it has a healthcheck, healthy. Resolves
+// with { state, detail } like health.waitUntilHealthy.
+async function start(service, vars) {
+    const result = service.runtime === 'compose'
+        ? await run([...composeArgs(service), 'up', '-d', service.compose.service], { cwd: cwdOf(service), env: vars })
+        : await startDocker(service, vars);
+    if (!result.ok) {
+        return { state: health.STATES.CRASHED, detail: `${cli()} failed: ${result.error}` };
+    }
+    return waitUntilReady(service);
+}
+
+// Poll the container until it is ready, exits, or the timeout elapses
+function waitUntilReady(service) {
+    const timeout = (service.healthCheck && service.healthCheck.timeout) || DEFAULT_READY_TIMEOUT;
+    const startedAt = Date.now();
+    return new Promise((resolve) => {
+        const poll = async () => {
+            const current = readiness(await inspect(service));
+            if (current.state === health.STATES.HEALTHY || current.state === health.STATES.CRASHED) {
+                resolve(current);
+                return;
+            }
+            if (current.state === health.STATES.STOPPED && Date.now() - startedAt > READY_INTERVAL * 5) {
+                resolve({ state: health.STATES.CRASHED, detail: `Container did not stay up: ${current.detail}` });
+                return;
+            }
+            if (Date.now() - startedAt >= timeout) {
+                resolve({ state: health.STATES.UNHEALTHY, detail: `Not ready after ${timeout}ms: ${current.detail}` });
+                return;
+            }
+            setTimeout(poll, READY_INTERVAL);
+        };
+        poll();
+    });
+}
+
+// Stop the container, giving it `grace` ms before the CLI kills it.
+// Resolves like processes.stopPort: { success, notRunning?, message | error }.
+async function stop(service, grace) {
+    const info = await inspect(service);
+    if (!info.running) {
+        return { success: false, notRunning: true, error: `${service.name} container is not running` };
+    }
+    const seconds = String(Math.max(1, Math.round(grace / 1000)));
+    const result = service.runtime === 'compose'
+        ? await run([...composeArgs(service), 'stop', '-t', seconds, service.compose.service], { cwd: cwdOf(service) })
+        : await run(['stop', '-t', seconds, containerName(service)]);
+    return result.ok
+        ? { success: true, message: `Stopped ${service.name} container` }
+        : { success: false, error: `${cli()} stop failed: ${result.error}` };
+}
+
+// `logs` arguments for a service, optionally following
+function logArgs(service, count, follow) {
+    const options = ['--tail', String(count), ...(follow ? ['-f'] : [])];
+    return service.runtime === 'compose'
+        ? [...composeArgs(service), 'logs', '--no-color', '--no-log-prefix', ...options, service.compose.service]
+        : ['logs', ...options, containerName(service)];
+}
+
+// Split CLI output into log lines like logs.tail's
+function toLines(text, stream) {
+    const time = new Date().toISOString();
+    return text.split('\n').filter(Boolean).map(line => ({ time, stream, text: line }));
+}
+
+// The last `count` lines of the container's output
+async function tail(service, count = 100) {
+    const result = await run(logArgs(service, count, false), { cwd: cwdOf(service) });
+    if (!result.ok) return toLines(`Could not read container logs: ${result.error}`, 'system');
+    return [...toLines(result.stdout, 'stdout'), ...toLines(result.stderr, 'stderr')].slice(-count);
+}
+
+// Follow new output. Returns an unsubscribe function.
+function follow(service, listener) {
+    const child = spawn(cli(), logArgs(service, 0, true), { cwd: cwdOf(service), stdio: ['ignore', 'pipe', 'pipe'] });
+    const partial = { stdout: '', stderr: '' };
+    ['stdout', 'stderr'].forEach(stream => {
+        child[stream].on('data', (chunk) => {
+            const text = partial[stream] + chunk.toString();
+            const end = text.lastIndexOf('\n') + 1;
+            partial[stream] = text.slice(end);
+            toLines(text.slice(0, end), stream).forEach(listener);
+        });
+    });
+    child.on('error', () => {});
+    return () => child.kill();
+}
+
+module.exports = {
+    RUNTIMES,
+    isContainer,
+    containerName,
+    inspect,
+    readiness,
+    start,
+    stop,
+    tail,
+    follow
+};
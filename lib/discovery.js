@@ -0,0 +1,377 @@
+/**
+ * Project discovery
+ *
+ * Walks root directories (services.json `discovery.roots`, default ~/ztgi)
+ * looking for things that can be run as services:
+ *
+ *   - package.json with a dev/start/serve script (Vite, Next, CRA or a
+ *     plain Node server, told apart by dependencies and config files)
+ *   - Python entrypoints (main.py, app.py, ...) using FastAPI/uvicorn or Flask
+ *   - docker-compose files, one candidate per service publishing a port,
+ *     proposed as a "compose" runtime service
+ *
+ * Each candidate is proposed as a service entry (name, port, type, startCmd,
+ * github from the git remote) and compared with services.json, so the UI
+ * and MCP tools can show what is new before importing it.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const HOME = os.homedir();
+const DEFAULT_ROOTS = ['~/ztgi'];
+const DEFAULT_MAX_DEPTH = 3;
+const MAX_DIRS = 5000;
+
+const SKIP_DIRS = new Set([
+    'node_modules', 'venv', '.venv', 'env', '__pycache__', 'dist', 'build', 'out',
+    'target', 'coverage', 'vendor', 'site-packages', '.next', '.nuxt'
+]);
+const PY_ENTRYPOINTS = ['main.py', 'app.py', 'server.py', 'api.py', 'app/main.py', 'src/main.py'];
+const COMPOSE_FILES = ['docker-compose.yml', 'docker-compose.yaml', 'compose.yml', 'compose.yaml'];
+const NODE_SCRIPTS = ['dev', 'start', 'serve'];
+
+function expandPath(p) {
+    return p.replace(/^~/, HOME);
+}
+
+// Display a path the way services.json writes them
+function collapsePath(p) {
+    return p === HOME || p.startsWith(HOME + path.sep) ? '~' + p.slice(HOME.length) : p;
+}
+
+function readText(file) {
+    try {
+        return fs.readFileSync(file, 'utf8');
+    } catch {
+        return null;
+    }
+}
+
+function readJson(file) {
+    const text = readText(file);
+    if (text === null) return null;
+    try {
+        return JSON.parse(text);
+    } catch {
+        return null;
+    }
+}
+
+// "lawyers_and_dragons/lawyer-portal" -> "Lawyers And Dragons Lawyer Portal"
+function titleize(parts) {
+    return parts.join(' ').split(/[\s_\-./]+/).filter(Boolean)
+        .map(w => w[0].toUpperCase() + w.slice(1)).join(' ');
+}
+
+// Name from the directory and its parent, relative to the scan root
+function nameFor(dir, root) {
+    const rel = path.relative(root, dir);
+    const parts = rel ? rel.split(path.sep).slice(-2) : [path.basename(dir)];
+    return titleize(parts);
+}
+
+// First port number matched by any of `patterns` in `text`
+function findPort(text, patterns) {
+    for (const pattern of patterns) {
+        const match = text && text.match(pattern);
+        if (match) {
+            const port = parseInt(match[1]);
+            if (port > 0 && port < 65536) return port;
+        }
+    }
+    return null;
+}
+
+// https URL of the origin remote of the repo containing `dir`
+function githubUrl(dir) {
+    let current = dir;
+    while (true) {
+        const config = readText(path.join(current, '.git', 'config'));
+        if (config !== null) {
+            const section = config.split(/^\[/m).find(s => s.startsWith('remote "origin"'));
+            const match = section && section.match(/^\s*url\s*=\s*(\S+)/m);
+            if (!match) return '';
+            const url = match[1]
+                .replace(/^git@([^:]+):/, 'https://$1/')
+                .replace(/^ssh:\/\/git@([^/]+)\//, 'https://$1/')
+                .replace(/\.git$/, '');
+            return /^https?:\/\//.test(url) ? url : '';
+        }
+        const parent = path.dirname(current);
+        if (parent === current) return '';
+        current = parent;
+    }
+}
+
+// Command prefix for the package manager the project's lockfile implies
+function packageRunner(dir) {
+    if (fs.existsSync(path.join(dir, 'pnpm-lock.yaml'))) return 'pnpm';
+    if (fs.existsSync(path.join(dir, 'yarn.lock'))) return 'yarn';
+    if (fs.existsSync(path.join(dir, 'bun.lockb'))) return 'bun run';
+    return 'npm run';
+}
+
+function hasFile(dir, names) {
+    return names.find(name => fs.existsSync(path.join(dir, name))) || null;
+}
+
+// A package.json project with a runnable script
+function detectNode(dir) {
+    const pkg = readJson(path.join(dir, 'package.json'));
+    if (!pkg || !pkg.scripts) return null;
+    const script = NODE_SCRIPTS.find(s => pkg.scripts[s]);
+    if (!script) return null;
+
+    const deps = { ...pkg.dependencies, ...pkg.devDependencies };
+    const command = pkg.scripts[script];
+    const scriptPort = findPort(command, [/(?:--port|-p)[\s=]+(\d+)/, /PORT=(\d+)/]);
+    // Next and CRA take their port from PORT, unless the script fixes it
+    const portEnv = !scriptPort;
+    const runner = packageRunner(dir);
+    const startCmd = script === 'start' && runner === 'npm run' ? 'npm start' : `${runner} ${script}`;
+
+    const viteConfig = hasFile(dir, ['vite.config.ts', 'vite.config.js', 'vite.config.mjs', 'vite.config.mts']);
+    if (viteConfig || deps.vite) {
+        const configText = viteConfig ? readText(path.join(dir, viteConfig)) : null;
+        return {
+            detectedBy: 'vite',
+            type: 'frontend',
+            port: scriptPort || findPort(configText, [/port\s*:\s*(\d+)/]) || 5173,
+            startCmd
+        };
+    }
+    if (hasFile(dir, ['next.config.js', 'next.config.mjs', 'next.config.ts']) || deps.next) {
+        return { detectedBy: 'next', type: 'frontend', port: scriptPort || 3000, startCmd, portEnv };
+    }
+    if (deps['react-scripts']) {
+        return { detectedBy: 'create-react-app', type: 'frontend', port: scriptPort || 3000, startCmd, portEnv };
+    }
+
+    const main = readText(path.join(dir, pkg.main || 'index.js')) || readText(path.join(dir, 'server.js'));
+    return {
+        detectedBy: 'node',
+        type: 'backend',
+        port: scriptPort || findPort(main, [/PORT\s*\|\|\s*(\d+)/, /PORT\s*=\s*(\d+)/, /listen\(\s*(\d+)/]) || 3000,
+        startCmd,
+        portEnv: portEnv && /process\.env\.PORT/.test(main || '')
+    };
+}
+
+// A FastAPI/uvicorn or Flask entrypoint
+function detectPython(dir) {
+    for (const entry of PY_ENTRYPOINTS) {
+        const text = readText(path.join(dir, entry));
+        if (!text) continue;
+
+        const portPatterns = [/port\s*=\s*(\d+)/, /--port[\s=]+(\d+)/];
+        if (/FastAPI\(|uvicorn/.test(text)) {
+            const port = findPort(text, portPatterns) || 8000;
+            const runsItself = /uvicorn\.run\(/.test(text) && /__main__/.test(text);
+            const module = entry.replace(/\.py$/, '').replace(/\//g, '.');
+            return {
+                detectedBy: 'fastapi',
+                type: 'backend',
+                port,
+                startCmd: runsItself ? `python3 ${entry}` : `uvicorn ${module}:app --host 0.0.0.0 --port ${port}`,
+                portInCommand: !runsItself
+            };
+        }
+        if (/Flask\(/.test(text)) {
+            return { detectedBy: 'flask', type: 'backend', port: findPort(text, portPatterns) || 5000, startCmd: `python3 ${entry}` };
+        }
+    }
+    return null;
+}
+
+// Services publishing a host port in a compose file. Just enough YAML to
+// read `services: <name>: ports: - "host:container"`.
+function detectCompose(dir) {
+    const file = hasFile(dir, COMPOSE_FILES);
+    if (!file) return [];
+    const lines = (readText(path.join(dir, file)) || '').split('\n');
+    const found = [];
+    let inServices = false;
+    let serviceIndent = null;
+    let current = null;
+    let inPorts = false;
+
+    lines.forEach(raw => {
+        const line = raw.replace(/\s+#.*$/, '');
+        if (!line.trim()) return;
+        const indent = line.length - line.trimStart().length;
+        const text = line.trim();
+
+        if (indent === 0) {
+            inServices = text === 'services:';
+            current = null;
+            return;
+        }
+        if (!inServices) return;
+        if (serviceIndent === null) serviceIndent = indent;
+        if (indent === serviceIndent && text.endsWith(':')) {
+            current = text.slice(0, -1).replace(/['"]/g, '');
+            inPorts = false;
+        } else if (current && indent > serviceIndent && /^ports:/.test(text)) {
+            inPorts = true;
+        } else if (current && inPorts && text.startsWith('-')) {
+            // "[ip:]host:container[/proto]"; a bare container port has no fixed host port
+            const parts = text.slice(1).trim().replace(/['"]/g, '').split('/')[0].split(':');
+            const port = parts.length >= 2 ? parseInt(parts[parts.length - 2]) : NaN;
+            if (port > 0 && port < 65536) found.push({ service: current, port });
+        } else if (current && indent > serviceIndent && !text.startsWith('-')) {
+            inPorts = false;
+        }
+    });
+
+    return found.map(({ service, port }) => ({
+        detectedBy: 'docker-compose',
+        type: 'backend',
+        port,
+        runtime: 'compose',
+        compose: { service, file },
+        suffix: service
+    }));
+}
+
+// Directories under `root`, breadth first, skipping dependencies and
+// hidden directories
+function walk(root, maxDepth, visit) {
+    const queue = [{ dir: root, depth: 0 }];
+    let seen = 0;
+    while (queue.length > 0 && seen < MAX_DIRS) {
+        const { dir, depth } = queue.shift();
+        seen++;
+        visit(dir);
+        if (depth >= maxDepth) continue;
+
+        let entries;
+        try {
+            entries = fs.readdirSync(dir, { withFileTypes: true });
+        } catch {
+            continue;
+        }
+        entries
+            .filter(e => e.isDirectory() && !e.name.startsWith('.') && !SKIP_DIRS.has(e.name))
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .forEach(e => queue.push({ dir: path.join(dir, e.name), depth: depth + 1 }));
+    }
+}
+
+// Where to scan, from services.json
+function getRoots(config) {
+    const discovery = config.discovery || {};
+    return discovery.roots && discovery.roots.length ? discovery.roots : DEFAULT_ROOTS;
+}
+
+// Whether a configured service is the project a candidate proposes
+function isSameProject(service, candidate, dir) {
+    if (path.resolve(expandPath(service.path)) !== dir) return false;
+    if (candidate.runtime === 'compose') {
+        return (service.runtime === 'compose' && service.compose && service.compose.service === candidate.compose.service) ||
+            service.port === candidate.port;
+    }
+    return (service.startCmd !== undefined && service.startCmd === candidate.startCmd) || service.port === candidate.port;
+}
+
+// Scan `roots` and propose service entries. Candidates already in
+// `services` are marked `configured`. A proposed port that clashes with a
+// configured service or an earlier candidate is moved to the next free
+// port, with a `note` saying so, when the new port can be handed to the
+// project: in the uvicorn command line, or as PORT in the entry's env.
+// Other clashing candidates are marked `conflict` and not proposed.
+function scan(roots, services, { maxDepth = DEFAULT_MAX_DEPTH } = {}) {
+    const candidates = [];
+    const taken = new Map(services.map(s => [s.port, s.name]));
+
+    roots.forEach(root => {
+        const rootDir = path.resolve(expandPath(root));
+        if (!fs.existsSync(rootDir)) return;
+
+        walk(rootDir, maxDepth, dir => {
+            const found = [detectNode(dir), detectPython(dir), ...detectCompose(dir)].filter(Boolean);
+            if (found.length === 0) return;
+            const github = githubUrl(dir);
+            const servicePath = collapsePath(dir);
+
+            found.forEach(project => {
+                const candidate = {
+                    name: project.suffix ? `${nameFor(dir, rootDir)} ${titleize([project.suffix])}` : nameFor(dir, rootDir),
+                    port: project.port,
+                    path: servicePath,
+                    type: project.type,
+                    github,
+                    detectedBy: project.detectedBy
+                };
+                if (project.runtime) {
+                    candidate.runtime = project.runtime;
+                    candidate.compose = project.compose;
+                } else {
+                    candidate.startCmd = project.startCmd;
+                }
+
+                const existing = services.find(s => isSameProject(s, candidate, dir));
+                if (existing) {
+                    candidate.status = 'configured';
+                    candidate.configuredAs = { name: existing.name, port: existing.port };
+                } else if (taken.has(candidate.port) && !project.portInCommand && !project.portEnv) {
+                    candidate.status = 'conflict';
+                    candidate.note = `Port ${candidate.port} is taken by ${taken.get(candidate.port)}, and the port is fixed in the project; change it there and scan again`;
+                } else {
+                    candidate.status = 'new';
+                    if (taken.has(candidate.port)) {
+                        let port = candidate.port + 1;
+                        while (taken.has(port)) port++;
+                        candidate.note = `Port ${candidate.port} is taken by ${taken.get(candidate.port)}; proposing ${port}`;
+                        if (project.portInCommand) {
+                            candidate.startCmd = candidate.startCmd.replace(`--port ${candidate.port}`, `--port ${port}`);
+                        } else {
+                            candidate.env = { PORT: String(port) };
+                            candidate.note += ' (passed as PORT)';
+                        }
+                        candidate.port = port;
+                    }
+                    taken.set(candidate.port, candidate.name);
+                }
+                candidates.push(candidate);
+            });
+        });
+    });
+    return candidates;
+}
+
+// The services.json entry for a candidate
+function toService(candidate) {
+    const service = {
+        name: candidate.name,
+        port: candidate.port,
+        path: candidate.path,
+        type: candidate.type
+    };
+    if (candidate.runtime) {
+        service.runtime = candidate.runtime;
+        service.compose = candidate.compose;
+    } else {
+        service.startCmd = candidate.startCmd;
+    }
+    if (candidate.env) service.env = candidate.env;
+    if (candidate.github) service.github = candidate.github;
+    return service;
+}
+
+// How a candidate or service is started, for listings
+function describeStart(service) {
+    return service.runtime === 'compose'
+        ? `compose service "${service.compose.service}" (${service.compose.file || 'default compose file'})`
+        : service.startCmd;
+}
+
+module.exports = {
+    DEFAULT_ROOTS,
+    DEFAULT_MAX_DEPTH,
+    getRoots,
+    scan,
+    toService,
+    describeStart
+};
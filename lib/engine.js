@@ -0,0 +1,505 @@
+/**
+ * Service engine
+ *
+ * The one implementation of starting, stopping and inspecting services,
+ * used by the web server, the MCP server and the lhd CLI so all three
+ * behave the same. Every action takes the caller's identity:
+ *
+ *   { source: 'web' | 'mcp' | 'cli', client, profile, capture }
+ *
+ * `source` is recorded as the owner in state.json and in the audit log.
+ * `profile` picks the services.json profile the action's services and
+ * groups come from (the default profile if unset; see profiles.js).
+ * `capture` pipes a service's output through this process (ring buffer,
+ * live follow) - only for the long-running web server; the others have the
+ * child write straight to its log file so output keeps flowing after they
+ * exit.
+ *
+ * Supervisor restarts happen in whichever process started the service, for
+ * as long as that process lives. Container services (see containers.js) are
+ * driven through the container CLI instead, and restarted by their runtime.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const logs = require('./logs');
+const health = require('./health');
+const groups = require('./groups');
+const ports = require('./ports');
+const processes = require('./processes');
+const supervisor = require('./supervisor');
+const state = require('./state');
+const servicesConfig = require('./config');
+const env = require('./env');
+const listeners = require('./listeners');
+const audit = require('./audit');
+const profiles = require('./profiles');
+const git = require('./git');
+const tasks = require('./tasks');
+const containers = require('./containers');
+const proxy = require('./proxy');
+const launcher = require('./launcher');
+
+const HOME = os.homedir();
+const CONFIG_DIR = path.dirname(servicesConfig.CONFIG_PATH);
+
+// Child processes spawned by this process, by port. state.json holds the
+// shared record of every managed process, whichever entry point started it.
+const runningProcesses = new Map();
+
+// Expand ~ to home directory
+function expandPath(p) {
+    return p.replace(/^~/, HOME);
+}
+
+// The config as seen through a profile (the default one if unset;
+// profiles.ALL for every port any profile uses)
+function loadConfig(profile) {
+    return profiles.apply(servicesConfig.loadConfig(), profile);
+}
+
+function loadServices(profile) {
+    return loadConfig(profile).services;
+}
+
+// A service of a profile by port or name, or undefined
+function findService(ref, profile) {
+    return groups.findService(loadServices(profile), /^\d+$/.test(String(ref)) ? parseInt(ref) : ref);
+}
+
+// Record an action in the audit log. `target` is a port (named from
+// services.json), { port, name }, { group } or null.
+function recordAction(context, action, target, params, result) {
+    if (typeof target === 'number') {
+        const service = loadServices(profiles.ALL).find(s => s.port === target);
+        target = { port: target, name: service ? service.name : null };
+    }
+    if (target && context.profile) target = { ...target, profile: context.profile };
+    return audit.record({ source: context.source, client: context.client || null, action, target, params, result });
+}
+
+// A dashboard message in the service's log. Without `capture` it would
+// start an in-memory buffer that hides the file, so only the server notes.
+function note(service, context, message) {
+    if (context.capture) logs.system(service.port, message);
+}
+
+// Why a service can't start on its port, or null if the port is free
+async function portConflict(service) {
+    const status = await ports.checkPort(service.port);
+    if (!status.running) return null;
+    await state.prune();
+    const owner = await listeners.identify(service, status, state.get(service.port));
+    if (owner.ownership === 'impostor') {
+        return `${owner.detail}. Stop it with force if it should not be there.`;
+    }
+    return owner.ownership === 'unknown'
+        ? `Port ${service.port} already in use: ${owner.detail}`
+        : `${service.name} is already running on port ${service.port} (${owner.detail})`;
+}
+
+// Start a container service through its CLI and wait until it is ready
+async function launchContainer(service, context, options, fail) {
+    const { port } = service;
+    const cwd = expandPath(service.path);
+    if (service.runtime === 'compose' && !fs.existsSync(cwd)) {
+        return fail(`Directory not found: ${cwd}`);
+    }
+    let vars;
+    try {
+        vars = env.resolve(service, { globals: loadConfig(context.profile), cwd, configDir: CONFIG_DIR, override: options.env });
+    } catch (err) {
+        return fail(err.message);
+    }
+
+    note(service, context, `Starting ${service.name} (${service.runtime})`);
+    health.setState(port, health.STATES.STARTING);
+    const result = await containers.start(service, vars);
+    const entry = health.setState(port, result.state, result.detail);
+    const success = entry.state === health.STATES.HEALTHY;
+    return {
+        success,
+        port,
+        name: service.name,
+        pid: null,
+        state: entry.state,
+        detail: entry.detail,
+        ...(success ? {} : { error: `${service.name} is ${entry.state}: ${entry.detail}` })
+    };
+}
+
+// Spawn a service and wait for its health check. Resolves (never rejects)
+// with { success, port, name, pid, state, detail, error? }.
+async function launch(service, context, options = {}) {
+    const { port } = service;
+    const fail = detail => ({ success: false, port, name: service.name, pid: null, state: health.STATES.STOPPED, detail, error: detail });
+    if (containers.isContainer(service)) {
+        return launchContainer(service, context, options, fail);
+    }
+    const cwd = expandPath(service.path);
+
+    if (!fs.existsSync(cwd)) {
+        return fail(`Directory not found: ${cwd}`);
+    }
+    if (!options.restart) {
+        const conflict = await portConflict(service);
+        if (conflict) return fail(conflict);
+    }
+
+    let vars;
+    try {
+        vars = env.resolve(service, { globals: loadConfig(context.profile), cwd, configDir: CONFIG_DIR, override: options.env });
+    } catch (err) {
+        return fail(err.message);
+    }
+    if (!options.restart) {
+        supervisor.resetCrashLoop(port);
+    }
+
+    const [cmd, ...args] = service.startCmd.split(' ');
+    const message = `Starting ${service.name}: ${service.startCmd}`;
+    if (context.capture) console.log(`Starting ${service.name} in ${cwd}: ${service.startCmd}`);
+
+    // Without capture the child writes straight to the shared log file
+    const logFd = context.capture ? null : logs.openFd(port, message);
+    const child = spawn(cmd, args, {
+        cwd,
+        shell: true,
+        detached: true,
+        stdio: context.capture ? ['ignore', 'pipe', 'pipe'] : ['ignore', logFd, logFd],
+        env: { ...process.env, ...vars }
+    });
+    if (logFd !== null) fs.closeSync(logFd);
+    child.unref();
+    if (context.capture) {
+        logs.system(port, message);
+        logs.attach(port, child);
+    }
+    health.setState(port, health.STATES.STARTING);
+
+    const record = { pid: child.pid, name: service.name, startedAt: new Date().toISOString() };
+    runningProcesses.set(port, record);
+    const recorded = state.record(port, {
+        pid: child.pid,
+        name: service.name,
+        command: service.startCmd,
+        cwd,
+        owner: context.source,
+        profile: context.profile || null
+    });
+
+    // A zero exit may just be a launcher that forked the real server,
+    // so only a failing exit ends the readiness wait early. The record
+    // in runningProcesses stays: the group may outlive its leader.
+    let failed = false;
+    child.on('exit', (code, signal) => {
+        failed = code !== 0;
+        // Judge the exit once the state.json record is written
+        const onExit = () => {
+            // Ignore exits we caused, or of a process since replaced
+            if (record.stopping || runningProcesses.get(port) !== record) return;
+            const owned = state.get(port);
+            if (!owned || owned.stopping) {
+                // Stopped through another entry point
+                health.setState(port, health.STATES.STOPPED);
+                return;
+            }
+
+            const decision = supervisor.handleExit(service, { code, signal }, () => {
+                launch(service, context, { restart: true, env: options.env }).then(result => {
+                    if (!result.success) note(service, context, `Restart failed: ${result.detail}`);
+                    recordAction({ ...context, source: 'supervisor' }, 'restart',
+                        { port, name: service.name }, { exitCode: code, signal }, result);
+                });
+            });
+            if (decision.action !== 'none') {
+                note(service, context, decision.detail);
+            }
+            if (!failed && decision.action === 'none') return;
+
+            const exit = signal ? `Killed by ${signal}` : `Exited with code ${code}`;
+            health.setState(port, health.STATES.CRASHED,
+                decision.action === 'none' ? exit : `${exit}. ${decision.detail}`);
+        };
+        recorded.then(onExit, onExit);
+    });
+
+    child.on('error', (err) => {
+        failed = true;
+        health.setState(port, health.STATES.CRASHED, err.message);
+    });
+
+    await recorded;
+
+    // Wait until the health check passes (or startup fails)
+    const result = await health.waitUntilHealthy(service, { cwd, isAlive: () => !failed });
+    ports.invalidate();
+    const current = health.getState(port);
+    const entry = result.state === health.STATES.CRASHED && current.state === health.STATES.CRASHED
+        ? current
+        : health.setState(port, result.state, result.detail);
+    const success = entry.state === health.STATES.HEALTHY;
+    return {
+        success,
+        port,
+        name: service.name,
+        pid: child.pid,
+        state: entry.state,
+        detail: entry.detail,
+        ...(success ? {} : { error: `${service.name} is ${entry.state}: ${entry.detail}` })
+    };
+}
+
+// Start a service. `options.env` overrides variables for this start (and
+// its restarts).
+async function startService(service, context, options = {}) {
+    const result = await launch(service, context, options);
+    recordAction(context, 'start', { port: service.port, name: service.name }, { env: options.env }, result);
+    return result;
+}
+
+// SIGTERM the process group we spawned, then SIGKILL after the grace
+// period. Other port owners need `force`. Nothing running counts as
+// success, flagged `notRunning`.
+async function halt(port, options = {}) {
+    supervisor.cancel(port);
+    const service = loadServices(profiles.ALL).find(s => s.port === port);
+    if (service && containers.isContainer(service)) {
+        const result = await containers.stop(service, options.grace || service.stopGracePeriod || processes.DEFAULT_GRACE);
+        if (result.success || result.notRunning) health.setState(port, health.STATES.STOPPED);
+        return result.notRunning ? { success: true, notRunning: true, message: result.error } : result;
+    }
+    const managed = runningProcesses.get(port);
+    if (managed) managed.stopping = true;
+    const owned = state.get(port);
+    if (owned) await state.markStopping(port);
+    const grace = options.grace || (service && service.stopGracePeriod) || processes.DEFAULT_GRACE;
+
+    const result = await processes.stopPort(port, {
+        managedPgid: owned ? owned.pgid : null,
+        force: options.force,
+        grace
+    });
+    if (result.notRunning) {
+        health.setState(port, health.STATES.STOPPED);
+        runningProcesses.delete(port);
+        await state.remove(port);
+        return { success: true, notRunning: true, message: result.error, signaled: { SIGTERM: [], SIGKILL: [] } };
+    }
+    if (result.success) {
+        health.setState(port, health.STATES.STOPPED);
+        runningProcesses.delete(port);
+        await state.remove(port, owned ? owned.pgid : null);
+    } else {
+        if (managed) managed.stopping = false;
+        if (owned) await state.markStopping(port, false);
+    }
+    return result;
+}
+
+// Stop whatever runs on a port. `options`: force, grace (ms).
+async function stopService(port, context, options = {}) {
+    const result = await halt(port, options);
+    recordAction(context, 'stop', port, { force: options.force, grace: options.grace }, result);
+    return result;
+}
+
+// Start one of a service's tasks in its directory with its env. Returns
+// tasks.start's { run, done }; the finished run is audited. Throws if the
+// task can't start (unknown, already running, bad env).
+function runTask(service, name, context) {
+    const cwd = expandPath(service.path);
+    if (!fs.existsSync(cwd)) throw new Error(`Directory not found: ${cwd}`);
+    const vars = env.resolve(service, { globals: loadConfig(context.profile), cwd, configDir: CONFIG_DIR });
+    const started = tasks.start(service, name, { cwd, env: vars, source: context.source });
+    started.done.then(run => {
+        const outcome = run.success ? 'succeeded'
+            : `failed (${run.exitCode !== null ? `exit ${run.exitCode}` : run.error})`;
+        recordAction(context, 'task', { port: service.port, name: service.name }, { task: name },
+            { success: run.success, detail: `${name} ${outcome} in ${run.duration}ms` });
+    });
+    return started;
+}
+
+// Open a service's directory in the editor, file manager or terminal
+// configured in services.json (see launcher.js). Resolves with
+// launcher.open's { success, target, command, error? }.
+async function openService(service, target, context) {
+    const result = await launcher.open(loadConfig(context.profile), target, service.path);
+    recordAction(context, 'open', { port: service.port, name: service.name }, { target },
+        { ...result, detail: result.command ? result.command.join(' ') : undefined });
+    return result;
+}
+
+// Whether a service is already up and passing its health check
+async function isHealthy(service) {
+    const status = await ports.checkPort(service.port);
+    const readiness = await health.resolveState(service, status, { cwd: expandPath(service.path) });
+    return readiness.state === health.STATES.HEALTHY;
+}
+
+// Run a group action, auditing failures to even resolve the group
+async function groupAction(name, context, action, run) {
+    let result;
+    try {
+        const config = loadConfig(context.profile);
+        result = await run(config, groups.getGroup(config, name));
+    } catch (err) {
+        recordAction(context, action, { group: name }, {}, { error: err.message });
+        throw err;
+    }
+    recordAction(context, action, { group: name }, {}, result);
+    return result;
+}
+
+// Start a group and its dependencies in dependency order
+function startGroup(name, context) {
+    return groupAction(name, context, 'group-start', (config, group) => {
+        const ordered = groups.startOrder(config.services, group.members);
+        return groups.startInOrder(ordered, { isHealthy, start: service => launch(service, context) });
+    });
+}
+
+// Stop a group's services, dependents first. Members that were not
+// running count as skipped.
+function stopGroup(name, context) {
+    return groupAction(name, context, 'group-stop', (config, group) => {
+        const ordered = groups.stopOrder(config.services, group.members);
+        return groups.stopInOrder(ordered, async (port) => {
+            const result = await halt(port);
+            return result.notRunning ? { success: true, skipped: true, message: result.message } : result;
+        });
+    });
+}
+
+// port -> *.localhost URL of each service the proxy routes to (it
+// follows the default profile); empty when the proxy is off
+function proxyRoutes() {
+    const config = loadConfig();
+    const settings = proxy.settings(config);
+    return new Map(settings ? config.services.map(s => [s.port, proxy.urlOf(s, settings)]) : []);
+}
+
+// Status of a container service, from the container's own state
+async function containerStatus(s) {
+    const info = await containers.inspect(s);
+    const readiness = containers.readiness(info);
+    return {
+        ...s,
+        env: env.mask(s.env),
+        running: info.running,
+        url: info.running ? `http://localhost:${s.port}` : null,
+        state: readiness.state,
+        stateSince: info.running ? info.startedAt : null,
+        stateDetail: readiness.detail,
+        supervisor: supervisor.getInfo(s),
+        managed: null,
+        listener: null,
+        git: await git.status(expandPath(s.path)),
+        containerState: info
+    };
+}
+
+// Every service of a profile with its port status, readiness, supervisor
+// info, the state.json record, who holds the port, the git status of its
+// path and its *.localhost URL (container services: the container's state
+// instead of the port's). Env values are masked.
+async function getAllStatus(profile) {
+    const services = loadServices(profile);
+    const listenerMap = await ports.getListenerMap();
+    const { live } = await state.prune();
+    const owners = await listeners.list(services, live);
+    const routes = proxyRoutes();
+    return Promise.all(services.map(async (s) => {
+        if (containers.isContainer(s)) return { ...await containerStatus(s), proxyUrl: routes.get(s.port) || null };
+        const status = ports.portStatus(listenerMap, s.port);
+        const owner = status.running ? owners.find(o => o.port === s.port) : null;
+        const readiness = await health.resolveState(s, status, { cwd: expandPath(s.path) });
+        const repo = await git.status(expandPath(s.path));
+        return {
+            ...s,
+            env: env.mask(s.env),
+            ...status,
+            url: status.running ? `http://localhost:${s.port}` : null,
+            state: readiness.state,
+            stateSince: readiness.since,
+            stateDetail: readiness.detail,
+            supervisor: supervisor.getInfo(s),
+            managed: live.find(p => p.port === s.port) || null,
+            listener: owner ? { ownership: owner.ownership, detail: owner.detail, cwd: owner.cwd } : null,
+            git: repo,
+            proxyUrl: routes.get(s.port) || null
+        };
+    }));
+}
+
+// The fields of a status (from getAllStatus) whose change is worth
+// notifying watchers about
+function statusKey(s) {
+    return JSON.stringify([
+        s.running, s.pid, s.state, s.stateDetail,
+        s.managed && s.managed.pid,
+        s.listener && s.listener.ownership,
+        s.supervisor.restarts, s.supervisor.crashLooped, s.supervisor.exitCode,
+        s.git && [s.git.branch, s.git.head, s.git.modified, s.git.untracked, s.git.ahead, s.git.behind],
+        s.containerState && [s.containerState.status, s.containerState.id]
+    ]);
+}
+
+// What the metrics sampler should measure: the process group a dashboard
+// entry point spawned for each service, else whatever holds its port
+async function metricsTargets() {
+    const listenerMap = await ports.getListenerMap();
+    const { live } = await state.prune();
+    return loadServices(profiles.ALL).filter(s => !containers.isContainer(s)).map(s => {
+        const record = live.find(r => r.port === s.port);
+        const status = ports.portStatus(listenerMap, s.port);
+        return { port: s.port, root: record ? record.pgid : status.pid };
+    }).filter(t => t.root);
+}
+
+// The last `count` output lines of the service on `port`: from the
+// container CLI for container services, else the captured log
+async function tailLogs(port, count) {
+    const service = loadServices(profiles.ALL).find(s => s.port === port);
+    return service && containers.isContainer(service) ? containers.tail(service, count) : logs.tail(port, count);
+}
+
+// Follow new output lines of the service on `port`. Returns an
+// unsubscribe function.
+function followLogs(port, listener) {
+    const service = loadServices(profiles.ALL).find(s => s.port === port);
+    return service && containers.isContainer(service) ? containers.follow(service, listener) : logs.follow(port, listener);
+}
+
+// Human-readable time since an ISO timestamp
+function formatUptime(since) {
+    const seconds = Math.floor((Date.now() - new Date(since).getTime()) / 1000);
+    const h = Math.floor(seconds / 3600);
+    const m = Math.floor((seconds % 3600) / 60);
+    return h > 0 ? `${h}h ${m}m` : m > 0 ? `${m}m` : `${seconds}s`;
+}
+
+module.exports = {
+    expandPath,
+    loadConfig,
+    loadServices,
+    findService,
+    recordAction,
+    startService,
+    stopService,
+    runTask,
+    openService,
+    isHealthy,
+    startGroup,
+    stopGroup,
+    getAllStatus,
+    statusKey,
+    proxyRoutes,
+    metricsTargets,
+    tailLogs,
+    followLogs,
+    formatUptime
+};
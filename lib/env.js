@@ -0,0 +1,126 @@
+/**
+ * Service environment
+ *
+ * Builds the environment a service is spawned with. Layers, later ones
+ * winning:
+ *
+ *   process.env < PORT < global envFile < global env
+ *               < service envFile < service env < per-start override
+ *
+ * `env` is a map in services.json (top level for defaults, or per service);
+ * `envFile` is a dotenv file path, or a list of them, relative to
+ * services.json (global) or the service's path. Values and envFile paths
+ * can reference ${port}, ${path}, ${name} and ${home}, or any variable set
+ * by an earlier layer or the dashboard's own environment, e.g.
+ * "DATABASE_URL": "postgres://localhost/${name}_dev".
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const MASK = '********';
+
+// Keys whose values are never shown in API or MCP output
+const SECRET_KEY = /(SECRET|TOKEN|PASSWORD|PASSWD|API_?KEY|PRIVATE|CREDENTIAL|AUTH)/i;
+
+// Parse dotenv text: KEY=value lines, optional `export`, # comments,
+// single- or double-quoted values (double quotes understand \n)
+function parse(text) {
+    const vars = {};
+    text.split(/\r?\n/).forEach(line => {
+        const match = line.match(/^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_.]*)\s*=\s*(.*)?\s*$/);
+        if (!match) return;
+        let value = (match[2] || '').trim();
+        const quote = value[0];
+        if ((quote === '"' || quote === "'") && value.endsWith(quote) && value.length > 1) {
+            value = value.slice(1, -1);
+            if (quote === '"') value = value.replace(/\\n/g, '\n').replace(/\\"/g, '"');
+        } else {
+            value = value.replace(/\s+#.*$/, '');
+        }
+        vars[match[1]] = value;
+    });
+    return vars;
+}
+
+// Replace ${...} references: built-ins first, then variables set so far,
+// then the dashboard's own environment. Unknown names become ''.
+function interpolate(value, builtins, vars) {
+    return String(value).replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g, (_, key) => {
+        if (Object.prototype.hasOwnProperty.call(builtins, key)) return builtins[key];
+        if (Object.prototype.hasOwnProperty.call(vars, key)) return vars[key];
+        return process.env[key] || '';
+    });
+}
+
+// Load one layer's env files into `vars`
+function loadFiles(envFile, baseDir, builtins, vars) {
+    [].concat(envFile || []).forEach(file => {
+        const resolved = path.resolve(baseDir, interpolate(file, builtins, vars).replace(/^~/, os.homedir()));
+        if (!fs.existsSync(resolved)) {
+            throw new Error(`Env file not found: ${resolved}`);
+        }
+        Object.entries(parse(fs.readFileSync(resolved, 'utf8'))).forEach(([key, value]) => {
+            vars[key] = interpolate(value, builtins, vars);
+        });
+    });
+}
+
+// Merge a map of values into `vars`
+function loadMap(env, builtins, vars) {
+    Object.entries(env || {}).forEach(([key, value]) => {
+        vars[key] = interpolate(value, builtins, vars);
+    });
+}
+
+// The variables the dashboard sets for a service (without process.env).
+// `cwd` is the service's expanded path, `configDir` the directory holding
+// services.json. Throws if an env file is missing.
+function resolve(service, { globals = {}, cwd, configDir, override = {} } = {}) {
+    const builtins = {
+        port: String(service.port),
+        path: cwd,
+        name: service.name,
+        home: os.homedir()
+    };
+    const vars = { PORT: String(service.port) };
+
+    loadFiles(globals.envFile, configDir, builtins, vars);
+    loadMap(globals.env, builtins, vars);
+    loadFiles(service.envFile, cwd, builtins, vars);
+    loadMap(service.env, builtins, vars);
+    loadMap(override, builtins, vars);
+    return vars;
+}
+
+// Whether `value` is a usable env map: names to strings, numbers or booleans
+function isEnvMap(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value) &&
+        Object.entries(value).every(([key, v]) => /^[A-Za-z_][A-Za-z0-9_]*$/.test(key) &&
+            ['string', 'number', 'boolean'].includes(typeof v));
+}
+
+// Whether a variable should be hidden from output
+function isSecret(key) {
+    return SECRET_KEY.test(key);
+}
+
+// Copy of `env` with secret values (and passwords inside URLs) masked
+function mask(env) {
+    if (!env) return env;
+    return Object.fromEntries(Object.entries(env).map(([key, value]) => {
+        if (isSecret(key)) return [key, MASK];
+        return [key, String(value).replace(/(\/\/[^:/@\s]+:)[^@\s]+@/g, `$1${MASK}@`)];
+    }));
+}
+
+module.exports = {
+    MASK,
+    parse,
+    interpolate,
+    resolve,
+    isEnvMap,
+    isSecret,
+    mask
+};
@@ -0,0 +1,47 @@
+/**
+ * Dashboard event bus
+ *
+ * Everything the web UI should hear about without polling goes through
+ * here and out over GET /api/events as Server-Sent Events:
+ *
+ *   service  - a service's status snapshot changed
+ *   action   - result of a start/stop (single service or group)
+ *   config   - services.json changed on disk
+ *   log      - an output line from a captured process (opt-in)
+ *   metrics  - a round of CPU/memory samples, keyed by port
+ *   audit    - an entry appended to the audit log (by either entry point)
+ *   probe    - results of an endpoint probe of one service
+ *   task     - a task run started or finished (status running/succeeded/failed)
+ */
+
+const { EventEmitter } = require('events');
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+// Send an event to every subscriber
+function publish(type, data) {
+    emitter.emit('event', { type, data, time: new Date().toISOString() });
+}
+
+// Listen for events. Returns an unsubscribe function.
+function subscribe(listener) {
+    emitter.on('event', listener);
+    return () => emitter.off('event', listener);
+}
+
+function subscriberCount() {
+    return emitter.listenerCount('event');
+}
+
+// Format an event as an SSE frame
+function toSSE(event) {
+    return `event: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`;
+}
+
+module.exports = {
+    publish,
+    subscribe,
+    subscriberCount,
+    toSSE
+};
@@ -0,0 +1,131 @@
+/**
+ * Git working-copy status
+ *
+ * Reports, for a service's path, the current branch, short HEAD, counts of
+ * modified and untracked files, ahead/behind against the upstream and the
+ * last commit subject. Nothing is fetched: ahead/behind compare local refs
+ * only. Results are cached per path and recomputed when HEAD or the index
+ * changes, or after MAX_AGE so edits to the working tree show up too.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+
+const GIT_TIMEOUT = 5000;
+const MAX_AGE = 15000;
+
+// path -> { gitDir, signature, at, status }
+const cache = new Map();
+
+function git(cwd, args) {
+    return new Promise((resolve, reject) => {
+        execFile('git', args, { cwd, timeout: GIT_TIMEOUT, maxBuffer: 4 * 1024 * 1024 }, (err, stdout) => {
+            if (err) reject(err);
+            else resolve(stdout);
+        });
+    });
+}
+
+// mtimes of the files a commit, checkout or `git add` touches
+function signature(gitDir) {
+    return ['HEAD', 'index'].map(file => {
+        try {
+            return fs.statSync(path.join(gitDir, file)).mtimeMs;
+        } catch {
+            return 0;
+        }
+    }).join(':');
+}
+
+// Parse `git status --porcelain=v2 --branch` output
+function parseStatus(output) {
+    const status = {
+        branch: null,
+        detached: false,
+        head: null,
+        upstream: null,
+        ahead: 0,
+        behind: 0,
+        modified: 0,
+        untracked: 0,
+        conflicts: 0
+    };
+    output.split('\n').filter(Boolean).forEach(line => {
+        if (line.startsWith('# branch.oid ')) {
+            const oid = line.slice(13);
+            status.head = oid === '(initial)' ? null : oid.slice(0, 7);
+        } else if (line.startsWith('# branch.head ')) {
+            const head = line.slice(14);
+            status.detached = head === '(detached)';
+            status.branch = status.detached ? null : head;
+        } else if (line.startsWith('# branch.upstream ')) {
+            status.upstream = line.slice(18);
+        } else if (line.startsWith('# branch.ab ')) {
+            const [ahead, behind] = line.slice(12).split(' ');
+            status.ahead = Math.abs(parseInt(ahead)) || 0;
+            status.behind = Math.abs(parseInt(behind)) || 0;
+        } else if (line.startsWith('1 ') || line.startsWith('2 ')) {
+            status.modified++;
+        } else if (line.startsWith('u ')) {
+            status.conflicts++;
+        } else if (line.startsWith('? ')) {
+            status.untracked++;
+        }
+    });
+    return status;
+}
+
+// Compute the status of a working copy (no cache)
+async function readStatus(dir) {
+    const status = parseStatus(await git(dir, ['status', '--porcelain=v2', '--branch', '--untracked-files=normal']));
+    let subject = null;
+    if (status.head) {
+        subject = (await git(dir, ['log', '-1', '--format=%s']).catch(() => '')).trim() || null;
+    }
+    return {
+        ...status,
+        dirty: status.modified + status.conflicts > 0,
+        subject
+    };
+}
+
+// Status of the working copy at `dir`, or null if it isn't in a git
+// repository (or git isn't installed)
+async function status(dir) {
+    let entry = cache.get(dir);
+    if (!entry) {
+        let gitDir;
+        try {
+            gitDir = (await git(dir, ['rev-parse', '--absolute-git-dir'])).trim();
+        } catch {
+            // Not a repo (yet): ask again once MAX_AGE has passed
+            cache.set(dir, { gitDir: null, signature: null, at: Date.now(), status: null });
+            return null;
+        }
+        entry = { gitDir, signature: null, at: 0, status: null };
+        cache.set(dir, entry);
+    }
+    if (!entry.gitDir) {
+        if (Date.now() - entry.at < MAX_AGE) return null;
+        cache.delete(dir);
+        return status(dir);
+    }
+
+    const current = signature(entry.gitDir);
+    if (entry.status && current === entry.signature && Date.now() - entry.at < MAX_AGE) {
+        return entry.status;
+    }
+    try {
+        entry.status = await readStatus(dir);
+    } catch {
+        entry.status = null;
+    }
+    entry.signature = current;
+    entry.at = Date.now();
+    return entry.status;
+}
+
+module.exports = {
+    status
+};
@@ -0,0 +1,132 @@
+/**
+ * Service dependencies and groups
+ *
+ * Services may list `dependsOn` (ports or service names) in services.json,
+ * and the top-level `groups` array names stacks of services that are
+ * started and stopped together:
+ *
+ *   "groups": [{ "name": "copy-not-paste", "services": [7891, 7890] }]
+ *
+ * Groups start in dependency order, waiting for each service to become
+ * healthy before starting the ones that need it, and stop in reverse.
+ */
+
+// Find a service by port or name
+function findService(services, ref) {
+    return services.find(s => (typeof ref === 'number' ? s.port === ref : s.name === ref || String(s.port) === ref));
+}
+
+// The services a service depends on
+function getDependencies(services, service) {
+    return (service.dependsOn || []).map(ref => {
+        const dep = findService(services, ref);
+        if (!dep) {
+            throw new Error(`Unknown dependency "${ref}" for ${service.name}`);
+        }
+        return dep;
+    });
+}
+
+// Order services so every dependency comes before its dependents. The
+// result includes dependencies of the requested services even when they
+// were not requested themselves. Throws on a dependency cycle, with the
+// services in it as `err.cycle`.
+function startOrder(services, requested) {
+    const ordered = [];
+    const done = new Set();
+    const visiting = [];
+
+    const visit = (service) => {
+        if (done.has(service.port)) return;
+        const index = visiting.findIndex(s => s.port === service.port);
+        if (index !== -1) {
+            const cycle = visiting.slice(index).concat(service);
+            const err = new Error(`Dependency cycle: ${cycle.map(s => s.name).join(' -> ')}`);
+            err.cycle = cycle;
+            throw err;
+        }
+        visiting.push(service);
+        getDependencies(services, service).forEach(visit);
+        visiting.pop();
+        done.add(service.port);
+        ordered.push(service);
+    };
+
+    requested.forEach(visit);
+    return ordered;
+}
+
+// Stop order for a set of services: dependents before their dependencies
+function stopOrder(services, requested) {
+    const ports = new Set(requested.map(s => s.port));
+    return startOrder(services, requested).filter(s => ports.has(s.port)).reverse();
+}
+
+// Look up a group and its member services
+function getGroup(config, name) {
+    const group = (config.groups || []).find(g => g.name === name);
+    if (!group) {
+        throw new Error(`Unknown group "${name}"`);
+    }
+    const services = config.services || [];
+    const members = group.services.map(ref => {
+        const service = findService(services, ref);
+        if (!service) {
+            throw new Error(`Group "${name}" references unknown service "${ref}"`);
+        }
+        return service;
+    });
+    return { ...group, members };
+}
+
+// Start services one at a time in order. `isHealthy(service)` skips ones
+// already up; `start(service)` must resolve once the service is ready
+// and report `{ success, state, detail }`. Stops at the first failure.
+async function startInOrder(ordered, { isHealthy, start }) {
+    const results = [];
+    for (let i = 0; i < ordered.length; i++) {
+        const service = ordered[i];
+        if (await isHealthy(service)) {
+            results.push({ name: service.name, port: service.port, state: 'healthy', skipped: true });
+            continue;
+        }
+
+        let result;
+        try {
+            result = await start(service);
+        } catch (err) {
+            result = { success: false, state: 'crashed', detail: err.message };
+        }
+        results.push({ name: service.name, port: service.port, state: result.state, detail: result.detail });
+
+        if (!result.success) {
+            const pending = ordered.slice(i + 1).map(s => s.name);
+            return {
+                success: false,
+                error: `${service.name} is ${result.state}: ${result.detail}` +
+                    (pending.length ? `. Not started: ${pending.join(', ')}` : ''),
+                results
+            };
+        }
+    }
+    return { success: true, results };
+}
+
+// Stop services one at a time in order
+async function stopInOrder(ordered, stop) {
+    const results = [];
+    for (const service of ordered) {
+        const result = await stop(service.port);
+        results.push({ name: service.name, port: service.port, ...result });
+    }
+    return { success: results.every(r => r.success !== false), results };
+}
+
+module.exports = {
+    findService,
+    startOrder,
+    stopOrder,
+    getGroup,
+    startInOrder,
+    stopInOrder
+};
@@ -0,0 +1,185 @@
+/**
+ * Health checks and readiness states
+ *
+ * A service entry may declare a `healthCheck` block in services.json:
+ *
+ *   { "type": "http", "path": "/health", "expectedStatus": 200 }
+ *   { "type": "tcp" }
+ *   { "type": "command", "command": "curl -sf localhost:8000/docs" }
+ *
+ * plus optional `interval` (ms between polls while starting) and `timeout`
+ * (ms to wait for readiness before giving up). Without a block, a TCP
+ * connect to the service's port is used.
+ */
+
+const http = require('http');
+const net = require('net');
+const { exec } = require('child_process');
+const { EventEmitter } = require('events');
+
+const STATES = {
+    STARTING: 'starting',
+    HEALTHY: 'healthy',
+    UNHEALTHY: 'unhealthy',
+    STOPPED: 'stopped',
+    CRASHED: 'crashed'
+};
+
+const DEFAULT_INTERVAL = 1000;
+const DEFAULT_TIMEOUT = 30000;
+const CHECK_TIMEOUT = 2000;
+
+// port -> { state, since, detail }
+const tracked = new Map();
+const transitions = new EventEmitter();
+
+// Normalized health check config for a service
+function getCheck(service) {
+    const check = service.healthCheck || {};
+    return {
+        type: check.type || (check.path ? 'http' : check.command ? 'command' : 'tcp'),
+        path: check.path || '/',
+        expectedStatus: check.expectedStatus,
+        command: check.command,
+        interval: check.interval || DEFAULT_INTERVAL,
+        timeout: check.timeout || DEFAULT_TIMEOUT
+    };
+}
+
+// Try to open a TCP connection to a local port
+function checkTcp(port) {
+    return new Promise((resolve) => {
+        const socket = net.connect({ port, host: 'localhost', autoSelectFamily: true });
+        const done = (ok, detail) => {
+            socket.destroy();
+            resolve({ ok, detail });
+        };
+        socket.setTimeout(CHECK_TIMEOUT, () => done(false, 'TCP connect timed out'));
+        socket.once('connect', () => done(true, `Port ${port} accepting connections`));
+        socket.once('error', (err) => done(false, `TCP connect failed: ${err.code || err.message}`));
+    });
+}
+
+// Request a path and compare the response status
+function checkHttp(port, check) {
+    return new Promise((resolve) => {
+        const req = http.get({
+            host: 'localhost',
+            port,
+            path: check.path,
+            // No keep-alive: a lingering client socket would make the
+            // dashboard itself look like an owner of the port
+            agent: false,
+            autoSelectFamily: true,
+            timeout: CHECK_TIMEOUT
+        }, (res) => {
+            res.resume();
+            const expected = check.expectedStatus;
+            const ok = expected === undefined
+                ? res.statusCode < 400
+                : [].concat(expected).includes(res.statusCode);
+            resolve({ ok, detail: `GET ${check.path} -> ${res.statusCode}` });
+        });
+        req.on('timeout', () => req.destroy(new Error('timed out')));
+        req.on('error', (err) => resolve({ ok: false, detail: `GET ${check.path} failed: ${err.code || err.message}` }));
+    });
+}
+
+// Run a shell command; exit code 0 means healthy
+function checkCommand(check, options) {
+    return new Promise((resolve) => {
+        exec(check.command, { ...options, timeout: CHECK_TIMEOUT * 5 }, (error, stdout, stderr) => {
+            resolve(error
+                ? { ok: false, detail: `\`${check.command}\` failed: ${(stderr || error.message).trim()}` }
+                : { ok: true, detail: `\`${check.command}\` succeeded` });
+        });
+    });
+}
+
+// Run a service's health check once
+function runCheck(service, options = {}) {
+    const check = getCheck(service);
+    if (check.type === 'http') return checkHttp(service.port, check);
+    if (check.type === 'command') {
+        return checkCommand(check, {
+            cwd: options.cwd,
+            env: { ...process.env, PORT: service.port.toString() }
+        });
+    }
+    return checkTcp(service.port);
+}
+
+// Poll until the service is healthy, it dies, or the timeout elapses.
+// `isAlive` lets the caller report an early exit of the spawned process.
+function waitUntilHealthy(service, options = {}) {
+    const check = getCheck(service);
+    const startedAt = Date.now();
+
+    return new Promise((resolve) => {
+        const poll = async () => {
+            if (options.isAlive && !options.isAlive()) {
+                resolve({ state: STATES.CRASHED, detail: 'Process exited during startup' });
+                return;
+            }
+            const result = await runCheck(service, options);
+            if (result.ok) {
+                resolve({ state: STATES.HEALTHY, detail: result.detail, elapsed: Date.now() - startedAt });
+                return;
+            }
+            if (Date.now() - startedAt >= check.timeout) {
+                resolve({ state: STATES.UNHEALTHY, detail: `Not ready after ${check.timeout}ms: ${result.detail}` });
+                return;
+            }
+            setTimeout(poll, check.interval);
+        };
+        poll();
+    });
+}
+
+// Record a state transition for a port
+function setState(port, state, detail = null) {
+    const current = tracked.get(port);
+    if (current && current.state === state && current.detail === detail) return current;
+    const since = current && current.state === state ? current.since : new Date().toISOString();
+    const entry = { state, since, detail };
+    tracked.set(port, entry);
+    transitions.emit('transition', { port, previous: current ? current.state : null, ...entry });
+    return entry;
+}
+
+// Listen for state changes on any port
+function onTransition(listener) {
+    transitions.on('transition', listener);
+}
+
+function getState(port) {
+    return tracked.get(port) || null;
+}
+
+// Work out the readiness state of a service from its port status, what we
+// know about processes we started, and a fresh health check
+async function resolveState(service, portStatus, options = {}) {
+    const current = tracked.get(service.port);
+
+    if (current && current.state === STATES.STARTING) {
+        return current;
+    }
+    if (!portStatus.running) {
+        if (current && current.state === STATES.CRASHED) return current;
+        return setState(service.port, STATES.STOPPED);
+    }
+
+    const result = await runCheck(service, options);
+    return setState(service.port, result.ok ? STATES.HEALTHY : STATES.UNHEALTHY, result.detail);
+}
+
+module.exports = {
+    STATES,
+    getCheck,
+    runCheck,
+    waitUntilHealthy,
+    setState,
+    getState,
+    onTransition,
+    resolveState
+};
@@ -0,0 +1,161 @@
+/**
+ * Open a service's directory in an editor, file manager or terminal
+ *
+ * Which program each target uses comes from an optional "launchers" block
+ * in services.json; anything left out gets the platform default:
+ *
+ *   "launchers": {
+ *     "editor": "cursor",
+ *     "fileManager": ["nautilus", "{path}"],
+ *     "terminal": ["kitty", "--directory", "{path}"]
+ *   }
+ *
+ * A value is a preset name (see PRESETS: vscode, cursor, zed, idea,
+ * webstorm, pycharm, sublime, $EDITOR), any other program name (the path
+ * is appended), or an argument array where "{path}" stands for the
+ * directory. Programs are spawned with argument arrays, never through a
+ * shell, and always with the directory as their working directory.
+ *
+ * A launch counts as failed if the program can't be found or exits non-zero
+ * within LAUNCH_WAIT; one still running by then (a GUI app that stays in
+ * the foreground) counts as launched. The program's stderr goes to a temp
+ * file, read for the error message, so nothing breaks when it outlives the
+ * dashboard. Terminal editors (vim, nano...) are refused as the editor:
+ * started detached, they would have no terminal to draw in.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const TARGETS = ['editor', 'fileManager', 'terminal'];
+const LAUNCH_WAIT = 1500;
+const MAX_STDERR = 2000;
+// Editors that need a terminal to run in
+const TERMINAL_EDITORS = ['vi', 'vim', 'nvim', 'nano', 'pico', 'micro', 'hx', 'helix', 'kak', 'joe', 'ne', 'ed', 'mg'];
+
+// Named launchers usable in place of an argument array
+const PRESETS = {
+    vscode: ['code', '{path}'],
+    cursor: ['cursor', '{path}'],
+    zed: ['zed', '{path}'],
+    idea: ['idea', '{path}'],
+    webstorm: ['webstorm', '{path}'],
+    pycharm: ['pycharm', '{path}'],
+    sublime: ['subl', '{path}'],
+    // A GUI editor command, e.g. EDITOR="code --wait"
+    $EDITOR: () => [...(process.env.VISUAL || process.env.EDITOR || '').split(/\s+/).filter(Boolean), '{path}']
+};
+
+// Platform defaults per target
+function defaults(platform = process.platform) {
+    if (platform === 'darwin') {
+        return { editor: 'vscode', fileManager: ['open', '{path}'], terminal: ['open', '-a', 'Terminal', '{path}'] };
+    }
+    if (platform === 'win32') {
+        return { editor: 'vscode', fileManager: ['explorer', '{path}'], terminal: ['cmd', '/c', 'start', 'cmd'] };
+    }
+    return { editor: 'vscode', fileManager: ['xdg-open', '{path}'], terminal: ['x-terminal-emulator'] };
+}
+
+// Whether a launchers value is well-formed
+function isLauncher(value) {
+    return (typeof value === 'string' && value.trim() !== '') ||
+        (Array.isArray(value) && value.length > 0 && value.every(arg => typeof arg === 'string' && arg !== ''));
+}
+
+// The argument array a target launches with for `dir`
+function commandFor(config, target, dir) {
+    if (!TARGETS.includes(target)) {
+        throw new Error(`Unknown target "${target}". Targets: ${TARGETS.join(', ')}`);
+    }
+    const setting = ((config && config.launchers) || {})[target] || defaults()[target];
+    let args;
+    if (Array.isArray(setting)) {
+        args = setting;
+    } else if (PRESETS[setting]) {
+        args = typeof PRESETS[setting] === 'function' ? PRESETS[setting]() : PRESETS[setting];
+    } else {
+        args = [setting, '{path}'];
+    }
+    if (args.length === 0 || args[0] === '{path}') {
+        throw new Error(`No program configured for ${target}${setting === '$EDITOR' ? ' ($VISUAL and $EDITOR are unset)' : ''}`);
+    }
+    const program = path.basename(args[0]);
+    if (target === 'editor' && (TERMINAL_EDITORS.includes(program) || (program === 'emacs' && args.includes('-nw')))) {
+        throw new Error(`${program} is a terminal editor and can't be opened without a terminal. Set launchers.editor to a GUI editor.`);
+    }
+    return args.map(arg => arg.split('{path}').join(dir));
+}
+
+// Launch `target` for the directory `dir`. Resolves (never rejects) with
+// { success, target, command, error? }.
+function open(config, target, dir) {
+    const fail = (error, command = null) => ({ success: false, target, command, error });
+    const fullPath = dir.replace(/^~/, os.homedir());
+    if (!fs.existsSync(fullPath)) return Promise.resolve(fail(`Directory not found: ${fullPath}`));
+
+    let args;
+    try {
+        args = commandFor(config, target, fullPath);
+    } catch (err) {
+        return Promise.resolve(fail(err.message));
+    }
+    const [program, ...rest] = args;
+
+    // The child keeps its own descriptor of this file for as long as it runs
+    const errorFile = path.join(os.tmpdir(), `lhd-launch-${process.pid}-${Date.now()}.log`);
+    let errorFd;
+    try {
+        errorFd = fs.openSync(errorFile, 'w+');
+    } catch (err) {
+        return Promise.resolve(fail(`Could not create ${errorFile}: ${err.message}`, args));
+    }
+    // The end of what the program wrote to stderr
+    const readStderr = () => {
+        try {
+            return fs.readFileSync(errorFile, 'utf8').slice(-MAX_STDERR);
+        } catch {
+            return '';
+        }
+    };
+
+    return new Promise((resolve) => {
+        let settled = false;
+        const child = spawn(program, rest, { cwd: fullPath, detached: true, stdio: ['ignore', 'ignore', errorFd] });
+        const settle = (result) => {
+            if (settled) return;
+            settled = true;
+            clearTimeout(timer);
+            child.unref();
+            fs.closeSync(errorFd);
+            try {
+                fs.unlinkSync(errorFile);
+            } catch {
+                // Still open in the child (Windows); the temp dir gets cleaned
+            }
+            resolve({ ...result, target, command: args });
+        };
+        child.on('error', (err) => settle({
+            success: false,
+            error: err.code === 'ENOENT'
+                ? `${program} not found. Set launchers.${target} in services.json.`
+                : err.message
+        }));
+        child.on('exit', (code, signal) => settle(code === 0
+            ? { success: true }
+            : { success: false, error: readStderr().trim() || (signal ? `${program} killed by ${signal}` : `${program} exited with code ${code}`) }));
+        // Still running: a GUI app that doesn't fork into the background
+        const timer = setTimeout(() => settle({ success: true }), LAUNCH_WAIT);
+    });
+}
+
+module.exports = {
+    TARGETS,
+    PRESETS,
+    defaults,
+    isLauncher,
+    commandFor,
+    open
+};
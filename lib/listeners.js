@@ -0,0 +1,137 @@
+/**
+ * Port ownership
+ *
+ * Works out who is actually listening on each port. A configured port can
+ * be held by:
+ *
+ *   managed   - the process tree the dashboard started for it
+ *   expected  - a process running from the service's directory (started by
+ *               hand, or before the dashboard), or the container runtime's
+ *               port forwarder for a docker/compose service
+ *   impostor  - something else entirely (another project, a stray server)
+ *   unknown   - a process whose working directory we can't read
+ *
+ * Ports not in services.json are listed as "other listeners" so they can be
+ * adopted into the config or killed.
+ */
+
+const os = require('os');
+const path = require('path');
+const ports = require('./ports');
+const processes = require('./processes');
+const containers = require('./containers');
+
+const HOME = os.homedir();
+const CWD_CACHE_MS = 30000;
+
+// pid -> { cwd, at }
+const cwdCache = new Map();
+
+function expandPath(p) {
+    return p.replace(/^~/, HOME);
+}
+
+// Cached cwd lookup: it rarely changes, and elsewhere than Linux each
+// lookup is an lsof call
+async function cwdOf(pid) {
+    const cached = cwdCache.get(pid);
+    if (cached && Date.now() - cached.at < CWD_CACHE_MS) return cached.cwd;
+    const cwd = await processes.getCwd(pid);
+    cwdCache.set(pid, { cwd, at: Date.now() });
+    return cwd;
+}
+
+// Drop cache entries for processes that are gone
+function pruneCache(pids) {
+    [...cwdCache.keys()].forEach(pid => {
+        if (!pids.has(pid)) cwdCache.delete(pid);
+    });
+}
+
+// Whether `pid` is in the process group `pgid` or descends from its leader
+function inTree(all, pid, pgid) {
+    const byPid = new Map(all.map(p => [p.pid, p]));
+    let current = byPid.get(pid);
+    while (current) {
+        if (current.pgid === pgid || current.pid === pgid) return true;
+        current = byPid.get(current.ppid);
+    }
+    return false;
+}
+
+// Whether a process working in `cwd` belongs to the project at `servicePath`
+function sameProject(cwd, servicePath) {
+    const root = path.resolve(expandPath(servicePath));
+    return cwd === root || cwd.startsWith(root + path.sep);
+}
+
+// Classify the owner of a configured port. `managed` is the service's
+// state.json record, if any; `all` the process list.
+function classify(service, owner, managed, all) {
+    if (containers.isContainer(service)) {
+        return { ownership: 'expected', detail: `Published by the ${service.runtime} runtime${owner.pid ? ` (pid ${owner.pid})` : ''}` };
+    }
+    if (!owner.pid) {
+        return { ownership: 'unknown', detail: 'Owner process could not be determined' };
+    }
+    if (managed && inTree(all, owner.pid, managed.pgid)) {
+        return { ownership: 'managed', detail: `Started by the dashboard (pid ${managed.pid})` };
+    }
+    if (!owner.cwd) {
+        return { ownership: 'unknown', detail: `pid ${owner.pid} (${owner.command || 'unknown command'}); working directory not readable` };
+    }
+    if (sameProject(owner.cwd, service.path)) {
+        return { ownership: 'expected', detail: `pid ${owner.pid} running from ${owner.cwd}` };
+    }
+    return {
+        ownership: 'impostor',
+        detail: `Port ${service.port} is held by pid ${owner.pid} (${owner.command || 'unknown command'}) ` +
+            `running from ${owner.cwd}, not ${service.path}`
+    };
+}
+
+// Every listening port with its owner and, for configured ports, who it
+// belongs to. `managedRecords` are the live state.json records.
+async function list(services, managedRecords = []) {
+    const [listenerMap, all] = await Promise.all([ports.getListenerMap(), processes.listProcesses()]);
+    pruneCache(new Set(all.map(p => p.pid)));
+
+    const entries = await Promise.all([...listenerMap.entries()].map(async ([port, sockets]) => {
+        const status = ports.portStatus(listenerMap, port);
+        const owner = {
+            pid: status.pid || null,
+            command: status.command || null,
+            cwd: status.pid ? await cwdOf(status.pid) : null
+        };
+        const service = services.find(s => s.port === port) || null;
+        const entry = {
+            port,
+            addresses: [...new Set(sockets.map(s => s.address))],
+            pid: owner.pid,
+            pids: status.pids,
+            command: owner.command,
+            cwd: owner.cwd,
+            service: service ? { name: service.name, port: service.port } : null,
+            ownership: null,
+            detail: null
+        };
+        if (service) {
+            Object.assign(entry, classify(service, owner, managedRecords.find(r => r.port === port), all));
+        }
+        return entry;
+    }));
+    return entries.sort((a, b) => a.port - b.port);
+}
+
+// Ownership of one configured, running service's port
+async function identify(service, status, managed = null) {
+    if (!status.running) return null;
+    const all = await processes.listProcesses();
+    const owner = { pid: status.pid || null, command: status.command || null, cwd: status.pid ? await cwdOf(status.pid) : null };
+    return { ...classify(service, owner, managed, all), pid: owner.pid, command: owner.command, cwd: owner.cwd };
+}
+
+module.exports = {
+    list,
+    identify
+};
@@ -0,0 +1,264 @@
+/**
+ * Per-service log capture
+ *
+ * Output from every managed process is kept in a bounded in-memory ring
+ * buffer (for fast tails and live follow) and mirrored to logs/<port>.log,
+ * which is rotated to <port>.log.1, .2, ... once it grows past MAX_FILE_BYTES.
+ * The log files are shared, so either entry point can read the output of a
+ * service the other one started. DASHBOARD_LOG_DIR moves them elsewhere.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+
+const LOG_DIR = process.env.DASHBOARD_LOG_DIR || path.join(__dirname, '..', 'logs');
+const MAX_LINES = 1000;
+const MAX_FILE_BYTES = 1024 * 1024;
+const MAX_ROTATIONS = 3;
+const TAIL_READ_BYTES = 256 * 1024;
+
+// port -> [{ time, stream, text }]
+const buffers = new Map();
+// `${port}:${stream}` -> unterminated trailing output
+const partials = new Map();
+// port -> current log file size in bytes
+const fileSizes = new Map();
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+// Path of a service's log file (or one of its rotations)
+function logPath(port, rotation = 0) {
+    return path.join(LOG_DIR, `${port}.log${rotation ? `.${rotation}` : ''}`);
+}
+
+// Shift <port>.log -> .1 -> .2 ... dropping the oldest
+function rotate(port) {
+    for (let i = MAX_ROTATIONS - 1; i >= 0; i--) {
+        const from = logPath(port, i);
+        if (fs.existsSync(from)) {
+            fs.renameSync(from, logPath(port, i + 1));
+        }
+    }
+    fileSizes.set(port, 0);
+}
+
+// Rotate the log file if it has grown past the size limit
+function rotateIfNeeded(port, incoming = 0) {
+    fs.mkdirSync(LOG_DIR, { recursive: true });
+    if (!fileSizes.has(port)) {
+        const file = logPath(port);
+        fileSizes.set(port, fs.existsSync(file) ? fs.statSync(file).size : 0);
+    }
+    if (fileSizes.get(port) + incoming > MAX_FILE_BYTES) {
+        rotate(port);
+    }
+}
+
+// Size of a port's log file on disk (0 if there is none)
+function sizeOnDisk(port) {
+    try {
+        return fs.statSync(logPath(port)).size;
+    } catch {
+        return 0;
+    }
+}
+
+// Append text to the service's log file
+function writeToFile(port, text) {
+    try {
+        const bytes = Buffer.byteLength(text);
+        const onDisk = sizeOnDisk(port);
+        if (fileSizes.has(port) && fileSizes.get(port) !== onDisk) {
+            // Another entry point wrote to the log since (it restarted the
+            // service): the buffer no longer holds the whole current run
+            buffers.delete(port);
+            fileSizes.set(port, onDisk);
+        }
+        rotateIfNeeded(port, bytes);
+        fs.appendFileSync(logPath(port), text);
+        fileSizes.set(port, fileSizes.get(port) + bytes);
+    } catch (err) {
+        console.error(`Failed to write log for port ${port}: ${err.message}`);
+    }
+}
+
+// Record a complete line in the ring buffer and notify followers
+function pushLine(port, stream, text) {
+    const entry = { time: new Date().toISOString(), stream, text };
+    let buffer = buffers.get(port);
+    if (!buffer) {
+        buffer = [];
+        buffers.set(port, buffer);
+    }
+    buffer.push(entry);
+    if (buffer.length > MAX_LINES) {
+        buffer.splice(0, buffer.length - MAX_LINES);
+    }
+    emitter.emit(`line:${port}`, entry);
+    emitter.emit('line', { port, ...entry });
+}
+
+// Feed a chunk of process output into the buffer and log file
+function append(port, stream, chunk) {
+    const key = `${port}:${stream}`;
+    const text = (partials.get(key) || '') + chunk.toString();
+    const lines = text.split(/\r?\n/);
+    partials.set(key, lines.pop());
+
+    if (lines.length === 0) return;
+    writeToFile(port, lines.join('\n') + '\n');
+    lines.forEach(line => pushLine(port, stream, line));
+}
+
+// Record a message from the dashboard itself (start, exit, ...)
+function system(port, message) {
+    writeToFile(port, `[dashboard] ${message}\n`);
+    pushLine(port, 'system', message);
+}
+
+// Flush any unterminated output left over for a port
+function flush(port) {
+    ['stdout', 'stderr'].forEach(stream => {
+        const key = `${port}:${stream}`;
+        const rest = partials.get(key);
+        if (rest) {
+            writeToFile(port, rest + '\n');
+            pushLine(port, stream, rest);
+        }
+        partials.delete(key);
+    });
+}
+
+// Capture a spawned child's stdout/stderr pipes
+function attach(port, child) {
+    if (child.stdout) child.stdout.on('data', chunk => append(port, 'stdout', chunk));
+    if (child.stderr) child.stderr.on('data', chunk => append(port, 'stderr', chunk));
+    child.on('exit', (code, signal) => {
+        flush(port);
+        system(port, signal ? `Process exited (signal ${signal})` : `Process exited with code ${code}`);
+    });
+}
+
+// Open the log file for a child to write to directly, after recording
+// `message`. Used when the process must keep logging after the spawning
+// entry point goes away; such output is only readable from the file.
+function openFd(port, message) {
+    if (message) writeToFile(port, `[dashboard] ${message}\n`);
+    rotateIfNeeded(port);
+    fileSizes.delete(port);
+    return fs.openSync(logPath(port), 'a');
+}
+
+// Parse raw log file text into line entries
+function parseLines(text) {
+    return text.split(/\r?\n/).filter(Boolean).map(line => {
+        const match = line.match(/^\[dashboard\] (.*)$/);
+        return match
+            ? { time: null, stream: 'system', text: match[1] }
+            : { time: null, stream: 'file', text: line };
+    });
+}
+
+// Read up to the last `bytes` of a file
+function readTail(file, bytes) {
+    const size = fs.statSync(file).size;
+    const start = Math.max(0, size - bytes);
+    const fd = fs.openSync(file, 'r');
+    try {
+        const buf = Buffer.alloc(size - start);
+        fs.readSync(fd, buf, 0, buf.length, start);
+        const text = buf.toString('utf8');
+        // Drop the first (probably partial) line if we didn't start at 0
+        return start > 0 ? text.slice(text.indexOf('\n') + 1) : text;
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+// Last `count` lines from the log files on disk
+function tailFile(port, count) {
+    let lines = [];
+    for (let i = 0; i <= MAX_ROTATIONS && lines.length < count; i++) {
+        const file = logPath(port, i);
+        if (!fs.existsSync(file)) break;
+        lines = parseLines(readTail(file, TAIL_READ_BYTES)).concat(lines);
+    }
+    return lines.slice(-count);
+}
+
+// Whether the ring buffer holds the latest output of a port: we captured
+// it and nothing else has written to the log file since. A run started by
+// another entry point writes to the file directly, making the file newer.
+function bufferIsCurrent(port) {
+    const buffer = buffers.get(port);
+    return Boolean(buffer && buffer.length > 0) && fileSizes.has(port) && fileSizes.get(port) === sizeOnDisk(port);
+}
+
+// Last `count` lines for a port, from memory when we captured the current
+// run ourselves
+function tail(port, count = 100) {
+    if (bufferIsCurrent(port)) {
+        return buffers.get(port).slice(-count);
+    }
+    return tailFile(port, count);
+}
+
+// Listen for lines captured on any port (file-only output is not included)
+function onLine(listener) {
+    emitter.on('line', listener);
+    return () => emitter.off('line', listener);
+}
+
+// Follow new lines for a port. Returns an unsubscribe function.
+function follow(port, listener) {
+    if (bufferIsCurrent(port)) {
+        const event = `line:${port}`;
+        emitter.on(event, listener);
+        return () => emitter.off(event, listener);
+    }
+
+    // Not captured by this process: watch the shared log file instead
+    const file = logPath(port);
+    let offset = sizeOnDisk(port);
+    let rest = '';
+    const onChange = (curr) => {
+        if (curr.size < offset) offset = 0; // rotated or truncated
+        if (curr.size === offset) return;
+        let buf;
+        try {
+            const fd = fs.openSync(file, 'r');
+            try {
+                buf = Buffer.alloc(curr.size - offset);
+                buf = buf.subarray(0, fs.readSync(fd, buf, 0, buf.length, offset));
+            } finally {
+                fs.closeSync(fd);
+            }
+        } catch {
+            // Removed or replaced since the stat: start over with the next file
+            offset = 0;
+            rest = '';
+            return;
+        }
+        offset += buf.length;
+        const text = rest + buf.toString('utf8');
+        const end = text.lastIndexOf('\n') + 1;
+        rest = text.slice(end);
+        parseLines(text.slice(0, end)).forEach(listener);
+    };
+    fs.watchFile(file, { interval: 1000 }, onChange);
+    return () => fs.unwatchFile(file, onChange);
+}
+
+module.exports = {
+    LOG_DIR,
+    logPath,
+    attach,
+    append,
+    system,
+    openFd,
+    tail,
+    follow,
+    onLine
+};
@@ -0,0 +1,180 @@
+/**
+ * Resource metrics
+ *
+ * Samples CPU%, resident memory, thread count and open file descriptors for
+ * each running service's process tree (the group the dashboard spawned, or
+ * the tree under whatever pid holds the port) and keeps a short history per
+ * port for sparklines. On Linux everything comes from /proc; elsewhere `ps`
+ * supplies CPU and memory, and threads/open files are left null.
+ */
+
+const fs = require('fs');
+const { execFile } = require('child_process');
+const processes = require('./processes');
+
+const DEFAULT_INTERVAL = 5000;
+const HISTORY_SIZE = 60;
+const CLK_TCK = 100;
+
+// port -> [{ time, cpu, rss, threads, openFiles, processes }]
+const history = new Map();
+// pid -> { ticks, at } from the previous sample, for CPU deltas
+const lastTicks = new Map();
+let timer = null;
+
+// CPU ticks, RSS, threads and open fds of one process, from /proc
+function readProc(pid) {
+    try {
+        const stat = fs.readFileSync(`/proc/${pid}/stat`, 'utf8');
+        const fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+        const status = fs.readFileSync(`/proc/${pid}/status`, 'utf8');
+        const rssKb = parseInt((status.match(/^VmRSS:\s+(\d+)/m) || [])[1]) || 0;
+        let openFiles = null;
+        try {
+            openFiles = fs.readdirSync(`/proc/${pid}/fd`).length;
+        } catch {
+            // Another user's process
+        }
+        return {
+            ticks: parseInt(fields[11]) + parseInt(fields[12]),
+            rss: rssKb * 1024,
+            threads: parseInt(fields[17]) || 1,
+            openFiles
+        };
+    } catch {
+        return null;
+    }
+}
+
+// CPU% and RSS for a set of pids from `ps` (macOS, BSD)
+function readPs(pids) {
+    return new Promise((resolve) => {
+        execFile('ps', ['-o', 'pid=,pcpu=,rss=', '-p', pids.join(',')], (error, stdout) => {
+            resolve((stdout || '').trim().split('\n').filter(Boolean).map(line => {
+                const [pid, cpu, rss] = line.trim().split(/\s+/);
+                return { pid: parseInt(pid), cpu: parseFloat(cpu) || 0, rss: (parseInt(rss) || 0) * 1024 };
+            }));
+        });
+    });
+}
+
+// One sample summed over `pids`
+async function measure(pids) {
+    const time = new Date().toISOString();
+    if (pids.length === 0) {
+        return { time, cpu: 0, rss: 0, threads: 0, openFiles: 0, processes: 0 };
+    }
+
+    if (process.platform !== 'linux') {
+        const rows = await readPs(pids);
+        return {
+            time,
+            cpu: Math.round(rows.reduce((sum, r) => sum + r.cpu, 0) * 10) / 10,
+            rss: rows.reduce((sum, r) => sum + r.rss, 0),
+            threads: null,
+            openFiles: null,
+            processes: rows.length
+        };
+    }
+
+    const now = Date.now();
+    const sample = { time, cpu: 0, rss: 0, threads: 0, openFiles: 0, processes: 0 };
+    pids.forEach(pid => {
+        const proc = readProc(pid);
+        if (!proc) return;
+        const previous = lastTicks.get(pid);
+        if (previous && now > previous.at) {
+            sample.cpu += ((proc.ticks - previous.ticks) / CLK_TCK) / ((now - previous.at) / 1000) * 100;
+        }
+        lastTicks.set(pid, { ticks: proc.ticks, at: now });
+        sample.rss += proc.rss;
+        sample.threads += proc.threads;
+        if (sample.openFiles !== null) {
+            sample.openFiles = proc.openFiles === null ? null : sample.openFiles + proc.openFiles;
+        }
+        sample.processes++;
+    });
+    sample.cpu = Math.max(0, Math.round(sample.cpu * 10) / 10);
+    return sample;
+}
+
+// Sample every target ({ port, root }: `root` is the process group or pid
+// to measure) and record the results. Ports without a target get nothing.
+async function sampleAll(targets) {
+    const all = await processes.listProcesses();
+    const alive = new Set(all.map(p => p.pid));
+    [...lastTicks.keys()].forEach(pid => !alive.has(pid) && lastTicks.delete(pid));
+
+    const results = {};
+    for (const { port, root } of targets) {
+        const sample = await measure(await processes.collectTree(root, all));
+        if (!history.has(port)) history.set(port, []);
+        const samples = history.get(port);
+        samples.push(sample);
+        if (samples.length > HISTORY_SIZE) samples.shift();
+        results[port] = sample;
+    }
+    // Forget services that stopped
+    [...history.keys()].forEach(port => {
+        if (!targets.some(t => t.port === port)) history.delete(port);
+    });
+    return results;
+}
+
+// Sample on an interval. `getTargets` resolves the current [{ port, root }];
+// `onSample` gets each round's results.
+function start(getTargets, { interval = DEFAULT_INTERVAL, onSample = null } = {}) {
+    stop();
+    const tick = async () => {
+        try {
+            const results = await sampleAll(await getTargets());
+            if (onSample) onSample(results);
+        } catch (err) {
+            console.error('Metrics sample failed:', err.message);
+        }
+    };
+    tick();
+    timer = setInterval(tick, interval);
+    timer.unref();
+}
+
+function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+}
+
+// Latest sample and history for a port (null if not sampled)
+function get(port) {
+    const samples = history.get(port);
+    if (!samples || samples.length === 0) return null;
+    return { latest: samples[samples.length - 1], history: samples.slice() };
+}
+
+// Everything, keyed by port
+function all() {
+    const result = {};
+    history.forEach((_, port) => {
+        result[port] = get(port);
+    });
+    return result;
+}
+
+// A one-off measurement of a tree, for callers without a running sampler.
+// Takes two readings `window` ms apart so CPU% has something to compare.
+async function measureNow(root, window = 1000) {
+    const pids = await processes.collectTree(root);
+    await measure(pids);
+    await new Promise(resolve => setTimeout(resolve, window));
+    return measure(await processes.collectTree(root));
+}
+
+module.exports = {
+    DEFAULT_INTERVAL,
+    HISTORY_SIZE,
+    start,
+    stop,
+    sampleAll,
+    get,
+    all,
+    measureNow
+};
@@ -0,0 +1,252 @@
+/**
+ * Port and process inspector
+ *
+ * Discovers every TCP socket in one pass and maps listening sockets to the
+ * owning PID and command line. On Linux this reads /proc/net/tcp{,6} and
+ * /proc/<pid>/fd directly; elsewhere it falls back to a single `lsof` (or
+ * `ss`) call. Only LISTEN sockets count as a port being in use, so client
+ * connections to a port (including our own health checks) are ignored.
+ */
+
+const fs = require('fs');
+const { execFile } = require('child_process');
+
+const CACHE_MS = 500;
+
+// Socket states from include/net/tcp_states.h
+const TCP_STATES = {
+    '01': 'ESTABLISHED',
+    '02': 'SYN_SENT',
+    '03': 'SYN_RECV',
+    '04': 'FIN_WAIT1',
+    '05': 'FIN_WAIT2',
+    '06': 'TIME_WAIT',
+    '07': 'CLOSE',
+    '08': 'CLOSE_WAIT',
+    '09': 'LAST_ACK',
+    '0A': 'LISTEN',
+    '0B': 'CLOSING'
+};
+
+let cache = null;
+
+// Decode a little-endian hex IPv4 address from /proc/net/tcp
+function decodeIpv4(hex) {
+    return [6, 4, 2, 0].map(i => parseInt(hex.substr(i, 2), 16)).join('.');
+}
+
+// Decode a /proc/net/tcp6 address (four little-endian 32-bit words)
+function decodeIpv6(hex) {
+    const bytes = [];
+    for (let word = 0; word < 4; word++) {
+        const chunk = hex.substr(word * 8, 8);
+        for (let i = 6; i >= 0; i -= 2) bytes.push(chunk.substr(i, 2));
+    }
+    const groups = [];
+    for (let i = 0; i < 16; i += 2) groups.push(parseInt(bytes[i] + bytes[i + 1], 16).toString(16));
+    return groups.join(':').replace(/(^|:)0(:0)+(:|$)/, '::');
+}
+
+// Parse one /proc/net/tcp{,6} table
+function parseProcTable(file, family) {
+    let text;
+    try {
+        text = fs.readFileSync(file, 'utf8');
+    } catch {
+        return [];
+    }
+    return text.trim().split('\n').slice(1).map(line => {
+        const fields = line.trim().split(/\s+/);
+        const [localHex, localPort] = fields[1].split(':');
+        const [, remotePort] = fields[2].split(':');
+        return {
+            family,
+            address: family === 'IPv4' ? decodeIpv4(localHex) : decodeIpv6(localHex),
+            port: parseInt(localPort, 16),
+            remotePort: parseInt(remotePort, 16),
+            state: TCP_STATES[fields[3]] || fields[3],
+            inode: fields[9],
+            pid: null,
+            command: null
+        };
+    });
+}
+
+// Read a process's full command line
+function readCmdline(pid) {
+    try {
+        return fs.readFileSync(`/proc/${pid}/cmdline`, 'utf8').split('\0').filter(Boolean).join(' ') || null;
+    } catch {
+        return null;
+    }
+}
+
+// Map socket inodes to PIDs by walking /proc/<pid>/fd. Stops early once
+// every wanted inode is found; sockets of other users' processes stay
+// unresolved unless we are root.
+function resolveInodes(inodes) {
+    const owners = new Map();
+    if (inodes.size === 0) return owners;
+
+    const pids = fs.readdirSync('/proc').filter(name => /^\d+$/.test(name));
+    for (const pid of pids) {
+        let fds;
+        try {
+            fds = fs.readdirSync(`/proc/${pid}/fd`);
+        } catch {
+            continue;
+        }
+        for (const fd of fds) {
+            let target;
+            try {
+                target = fs.readlinkSync(`/proc/${pid}/fd/${fd}`);
+            } catch {
+                continue;
+            }
+            const match = target.match(/^socket:\[(\d+)\]$/);
+            if (match && inodes.has(match[1]) && !owners.has(match[1])) {
+                owners.set(match[1], parseInt(pid));
+                if (owners.size === inodes.size) return owners;
+            }
+        }
+    }
+    return owners;
+}
+
+// All TCP sockets from /proc, with owners resolved for listeners
+function scanProc() {
+    const sockets = parseProcTable('/proc/net/tcp', 'IPv4')
+        .concat(parseProcTable('/proc/net/tcp6', 'IPv6'));
+    const listening = new Set(sockets.filter(s => s.state === 'LISTEN').map(s => s.inode));
+    const owners = resolveInodes(listening);
+    const commands = new Map();
+
+    sockets.forEach(s => {
+        const pid = owners.get(s.inode);
+        if (!pid) return;
+        if (!commands.has(pid)) commands.set(pid, readCmdline(pid));
+        s.pid = pid;
+        s.command = commands.get(pid);
+    });
+    return sockets;
+}
+
+// Run a command, resolving its stdout (or null if it can't run)
+function run(cmd, args) {
+    return new Promise((resolve) => {
+        execFile(cmd, args, { maxBuffer: 4 * 1024 * 1024 }, (error, stdout) => {
+            resolve(error && !stdout ? null : stdout);
+        });
+    });
+}
+
+// Split "host:port" as printed by lsof/ss ("*:3000", "[::1]:5173")
+function splitHostPort(value) {
+    const index = value.lastIndexOf(':');
+    const host = value.slice(0, index).replace(/^\[|\]$/g, '');
+    return {
+        family: host.includes(':') ? 'IPv6' : 'IPv4',
+        address: host === '*' ? '0.0.0.0' : host,
+        port: parseInt(value.slice(index + 1))
+    };
+}
+
+// Listening sockets from `lsof -F` field output (macOS, BSD)
+async function scanLsof() {
+    const stdout = await run('lsof', ['-nP', '-iTCP', '-sTCP:LISTEN', '-F', 'pcn']);
+    if (stdout === null) return null;
+
+    const sockets = [];
+    let pid = null;
+    let command = null;
+    stdout.split('\n').forEach(line => {
+        const value = line.slice(1);
+        if (line[0] === 'p') pid = parseInt(value);
+        else if (line[0] === 'c') command = value;
+        else if (line[0] === 'n') {
+            sockets.push({ ...splitHostPort(value), state: 'LISTEN', pid, command });
+        }
+    });
+    return sockets;
+}
+
+// Listening sockets from `ss` (Linux without a readable /proc)
+async function scanSs() {
+    const stdout = await run('ss', ['-Hltnp']);
+    if (stdout === null) return null;
+
+    return stdout.trim().split('\n').filter(Boolean).map(line => {
+        const fields = line.trim().split(/\s+/);
+        const owner = line.match(/users:\(\("([^"]+)",pid=(\d+)/);
+        return {
+            ...splitHostPort(fields[3]),
+            state: 'LISTEN',
+            pid: owner ? parseInt(owner[2]) : null,
+            command: owner ? owner[1] : null
+        };
+    });
+}
+
+// All known sockets, using the best source for this platform
+async function scanSockets() {
+    if (process.platform === 'linux' && fs.existsSync('/proc/net/tcp')) {
+        return scanProc();
+    }
+    return (await scanLsof()) || (await scanSs()) || [];
+}
+
+// Listening sockets only, cached briefly so a burst of status checks
+// shares one scan
+async function listListeners() {
+    if (!cache || Date.now() - cache.at > CACHE_MS) {
+        cache = {
+            at: Date.now(),
+            promise: scanSockets().then(sockets => sockets.filter(s => s.state === 'LISTEN'))
+        };
+    }
+    return cache.promise;
+}
+
+// Drop the cached scan (e.g. right after starting or stopping something)
+function invalidate() {
+    cache = null;
+}
+
+// Listening sockets grouped by port
+async function getListenerMap() {
+    const map = new Map();
+    (await listListeners()).forEach(s => {
+        if (!map.has(s.port)) map.set(s.port, []);
+        map.get(s.port).push(s);
+    });
+    return map;
+}
+
+// Status of one port from a listener map
+function portStatus(listenerMap, port) {
+    const listeners = listenerMap.get(port) || [];
+    if (listeners.length === 0) {
+        return { running: false };
+    }
+    const owner = listeners.find(s => s.pid) || listeners[0];
+    return {
+        running: true,
+        pid: owner.pid,
+        command: owner.command,
+        pids: [...new Set(listeners.map(s => s.pid).filter(Boolean))]
+    };
+}
+
+// Check whether something is listening on a port
+async function checkPort(port) {
+    return portStatus(await getListenerMap(), port);
+}
+
+module.exports = {
+    scanSockets,
+    listListeners,
+    getListenerMap,
+    portStatus,
+    checkPort,
+    invalidate
+};
@@ -0,0 +1,133 @@
+/**
+ * Endpoint probing
+ *
+ * Requests every endpoint a service lists in services.json and records the
+ * status code, latency, content type and size of each response. Endpoints
+ * are plain paths or objects with assertions:
+ *
+ *   "endpoints": ["/", { "path": "/health", "expectedStatus": 200, "bodyContains": "ok" }]
+ *
+ * Without expectedStatus any status below 400 passes. The last result per
+ * port is kept in memory for the dashboard.
+ */
+
+const http = require('http');
+
+const PROBE_TIMEOUT = 5000;
+// Bodies are only read this far when looking for `bodyContains`
+const MAX_BODY_BYTES = 1024 * 1024;
+
+// port -> { port, name, time, ok, passed, failed, results }
+const latest = new Map();
+
+// An endpoint entry as { path, expectedStatus, bodyContains }
+function normalize(endpoint) {
+    return typeof endpoint === 'string' ? { path: endpoint } : { ...endpoint };
+}
+
+// The path of an endpoint entry
+function pathOf(endpoint) {
+    return typeof endpoint === 'string' ? endpoint : endpoint.path;
+}
+
+// Request one endpoint and check its assertions
+function probeEndpoint(port, endpoint, options = {}) {
+    const { path, expectedStatus, bodyContains } = normalize(endpoint);
+    const startedAt = Date.now();
+
+    return new Promise((resolve) => {
+        const req = http.get({
+            host: 'localhost',
+            port,
+            path,
+            // See health.checkHttp: no keep-alive socket left on the port
+            agent: false,
+            autoSelectFamily: true,
+            timeout: options.timeout || PROBE_TIMEOUT
+        }, (res) => {
+            const chunks = [];
+            let bytes = 0;
+            res.on('data', (chunk) => {
+                bytes += chunk.length;
+                if (bodyContains !== undefined && bytes - chunk.length < MAX_BODY_BYTES) chunks.push(chunk);
+            });
+            res.on('end', () => {
+                const failures = [];
+                const statusOk = expectedStatus === undefined
+                    ? res.statusCode < 400
+                    : [].concat(expectedStatus).includes(res.statusCode);
+                if (!statusOk) {
+                    failures.push(expectedStatus === undefined
+                        ? `status ${res.statusCode}`
+                        : `status ${res.statusCode}, expected ${[].concat(expectedStatus).join(' or ')}`);
+                }
+                if (bodyContains !== undefined && !Buffer.concat(chunks).toString('utf8').includes(bodyContains)) {
+                    failures.push(`body does not contain "${bodyContains}"`);
+                }
+                resolve({
+                    path,
+                    ok: failures.length === 0,
+                    status: res.statusCode,
+                    latency: Date.now() - startedAt,
+                    contentType: res.headers['content-type'] || null,
+                    bytes,
+                    error: failures.length > 0 ? failures.join('; ') : null
+                });
+            });
+            res.on('error', (err) => fail(err));
+        });
+        const fail = (err) => resolve({
+            path,
+            ok: false,
+            status: null,
+            latency: Date.now() - startedAt,
+            contentType: null,
+            bytes: 0,
+            error: err.code || err.message
+        });
+        req.on('timeout', () => req.destroy(new Error(`timed out after ${options.timeout || PROBE_TIMEOUT}ms`)));
+        req.on('error', fail);
+    });
+}
+
+// Probe all of a service's endpoints (or `paths`, a subset of them) one
+// after another, so a slow dev server isn't hit all at once
+async function probeService(service, options = {}) {
+    let endpoints = service.endpoints || [];
+    if (options.paths) endpoints = endpoints.filter(e => options.paths.includes(pathOf(e)));
+
+    const results = [];
+    for (const endpoint of endpoints) {
+        results.push(await probeEndpoint(service.port, endpoint, options));
+    }
+    const failed = results.filter(r => !r.ok).length;
+    const summary = {
+        port: service.port,
+        name: service.name,
+        time: new Date().toISOString(),
+        ok: failed === 0,
+        passed: results.length - failed,
+        failed,
+        results
+    };
+    latest.set(service.port, summary);
+    return summary;
+}
+
+// The last probe of a port, or null
+function get(port) {
+    return latest.get(port) || null;
+}
+
+// The last probe of every port probed, by port
+function all() {
+    return Object.fromEntries(latest);
+}
+
+module.exports = {
+    PROBE_TIMEOUT,
+    pathOf,
+    probeService,
+    get,
+    all
+};
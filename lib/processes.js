@@ -0,0 +1,189 @@
+/**
+ * Process tree termination
+ *
+ * Services are spawned with `detached: true`, so each one leads its own
+ * process group. Stopping a service signals that whole group (plus any
+ * descendants that moved to a new group) with SIGTERM, waits for a grace
+ * period, then SIGKILLs whatever is left. Port owners outside the tree the
+ * dashboard spawned are left alone unless the caller forces it.
+ */
+
+const fs = require('fs');
+const { execFile } = require('child_process');
+const ports = require('./ports');
+
+const DEFAULT_GRACE = 5000;
+const POLL_INTERVAL = 100;
+
+// pid/ppid/pgid of every process, from /proc on Linux or `ps` elsewhere
+function listProcesses() {
+    if (process.platform === 'linux' && fs.existsSync('/proc/self/stat')) {
+        return Promise.resolve(fs.readdirSync('/proc').filter(name => /^\d+$/.test(name)).map(pid => {
+            try {
+                // The command name may contain spaces and parens: parse after the last ')'
+                const stat = fs.readFileSync(`/proc/${pid}/stat`, 'utf8');
+                const fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+                return { pid: parseInt(pid), ppid: parseInt(fields[1]), pgid: parseInt(fields[2]) };
+            } catch {
+                return null;
+            }
+        }).filter(Boolean));
+    }
+
+    return new Promise((resolve) => {
+        execFile('ps', ['-A', '-o', 'pid=,ppid=,pgid='], (error, stdout) => {
+            resolve((stdout || '').trim().split('\n').filter(Boolean).map(line => {
+                const [pid, ppid, pgid] = line.trim().split(/\s+/).map(Number);
+                return { pid, ppid, pgid };
+            }));
+        });
+    });
+}
+
+// Every process in the group led by `root`, plus all descendants of `root`.
+// Pass `all` to reuse a process list from listProcesses().
+async function collectTree(root, all = null) {
+    all = all || await listProcesses();
+    const tree = new Set(all.filter(p => p.pgid === root).map(p => p.pid));
+    if (all.some(p => p.pid === root)) tree.add(root);
+
+    let added = true;
+    while (added) {
+        added = false;
+        all.forEach(p => {
+            if (!tree.has(p.pid) && tree.has(p.ppid)) {
+                tree.add(p.pid);
+                added = true;
+            }
+        });
+    }
+    return [...tree];
+}
+
+// Kernel start time of a process (clock ticks since boot), used to tell a
+// live process from a later one that reused its pid. Linux only.
+function getStartTime(pid) {
+    try {
+        const stat = fs.readFileSync(`/proc/${pid}/stat`, 'utf8');
+        return stat.slice(stat.lastIndexOf(')') + 2).split(' ')[19];
+    } catch {
+        return null;
+    }
+}
+
+// Working directory of a process: /proc on Linux, `lsof` elsewhere. Null
+// if it can't be read (e.g. another user's process).
+function getCwd(pid) {
+    if (process.platform === 'linux') {
+        try {
+            return Promise.resolve(fs.readlinkSync(`/proc/${pid}/cwd`));
+        } catch {
+            return Promise.resolve(null);
+        }
+    }
+    return new Promise((resolve) => {
+        execFile('lsof', ['-a', '-p', String(pid), '-d', 'cwd', '-Fn'], (error, stdout) => {
+            const line = (stdout || '').split('\n').find(l => l.startsWith('n'));
+            resolve(line ? line.slice(1) : null);
+        });
+    });
+}
+
+// Whether a pid still exists (zombies waiting to be reaped count as dead)
+function isAlive(pid) {
+    try {
+        process.kill(pid, 0);
+    } catch (err) {
+        return err.code === 'EPERM';
+    }
+    try {
+        const stat = fs.readFileSync(`/proc/${pid}/stat`, 'utf8');
+        return stat[stat.lastIndexOf(')') + 2] !== 'Z';
+    } catch {
+        return true;
+    }
+}
+
+// Send a signal to a process group and to each pid; returns who got it
+function signalAll(pgid, pids, signal) {
+    if (pgid) {
+        try {
+            process.kill(-pgid, signal);
+        } catch {
+            // Group already gone, or not a group leader
+        }
+    }
+    return pids.filter(pid => {
+        try {
+            process.kill(pid, signal);
+            return true;
+        } catch {
+            return false;
+        }
+    });
+}
+
+// SIGTERM the tree rooted at `pgid` (and any `extraPids`), then SIGKILL
+// survivors once `grace` ms have passed
+async function terminate(pgid, { grace = DEFAULT_GRACE, extraPids = [] } = {}) {
+    const tree = pgid ? await collectTree(pgid) : [];
+    const pids = [...new Set(tree.concat(extraPids))].filter(pid => pid !== process.pid);
+    const signaled = { SIGTERM: signalAll(pgid, pids, 'SIGTERM'), SIGKILL: [] };
+
+    const deadline = Date.now() + grace;
+    while (pids.some(isAlive) && Date.now() < deadline) {
+        await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL));
+    }
+
+    const survivors = pids.filter(isAlive);
+    if (survivors.length > 0) {
+        signaled.SIGKILL = signalAll(pgid, survivors, 'SIGKILL');
+    }
+    return signaled;
+}
+
+// Stop whatever serves `port`. `managedPgid` is the process group the
+// dashboard spawned for it (if any); listeners outside that tree are only
+// killed with `force`.
+async function stopPort(port, { managedPgid = null, force = false, grace = DEFAULT_GRACE } = {}) {
+    const status = await ports.checkPort(port);
+    const tree = managedPgid ? await collectTree(managedPgid) : [];
+    const strangers = (status.pids || []).filter(pid => !tree.includes(pid));
+
+    if (!status.running && tree.length === 0) {
+        return { success: false, notRunning: true, error: `Nothing running on port ${port}` };
+    }
+    if (status.running && status.pids.length === 0 && tree.length === 0) {
+        return { success: false, error: `Port ${port} is in use, but its owner could not be determined` };
+    }
+    if (strangers.length > 0 && !force) {
+        return {
+            success: false,
+            refused: true,
+            pids: strangers,
+            error: `Port ${port} is held by pid ${strangers.join(', ')}${status.command ? ` (${status.command})` : ''}, ` +
+                'which the dashboard did not start. Pass force to kill it anyway.'
+        };
+    }
+
+    const signaled = await terminate(tree.length > 0 ? managedPgid : null, { grace, extraPids: strangers });
+    ports.invalidate();
+
+    const killed = signaled.SIGKILL.length > 0 ? ` (${signaled.SIGKILL.length} needed SIGKILL after ${grace}ms)` : '';
+    return {
+        success: true,
+        signaled,
+        message: `Stopped service on port ${port}: sent SIGTERM to ${signaled.SIGTERM.join(', ') || 'no processes'}${killed}`
+    };
+}
+
+module.exports = {
+    DEFAULT_GRACE,
+    listProcesses,
+    collectTree,
+    getStartTime,
+    getCwd,
+    isAlive,
+    terminate,
+    stopPort
+};
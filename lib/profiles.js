@@ -0,0 +1,149 @@
+/**
+ * Profiles (workspaces)
+ *
+ * services.json may define named profiles over the base service list, so
+ * the same project can run as a "dev" and an "e2e" variant without the two
+ * fighting over a port:
+ *
+ *   "defaultProfile": "dev",
+ *   "profiles": [
+ *     { "name": "dev", "services": ["Lawyer Portal", "Lawyer API"] },
+ *     { "name": "e2e", "services": ["Lawyer Portal", "Lawyer API"],
+ *       "env": { "NODE_ENV": "test" },
+ *       "overrides": {
+ *         "Lawyer Portal": { "port": 4100, "startCmd": "npm run dev -- --port 4100" },
+ *         "Lawyer API": { "port": 4101, "env": { "DATABASE_URL": "postgres://localhost/e2e" } }
+ *       } }
+ *   ]
+ *
+ * `services` picks members by name or base port (all services if omitted).
+ * `overrides` replace port, startCmd, envFile or healthCheck of a member and
+ * merge into its env; the profile's own env/envFile layer over the global
+ * ones. Groups and dependsOn keep working: references are rewritten to
+ * names, and members outside the profile are dropped.
+ *
+ * Without a profile name the default profile applies (or, if there is none,
+ * the plain service list). ALL is the union of every profile, for code that
+ * watches every port any profile uses.
+ */
+
+const groups = require('./groups');
+
+const ALL = '*';
+const OVERRIDE_FIELDS = ['port', 'env', 'envFile', 'startCmd', 'healthCheck'];
+
+function findProfile(config, name) {
+    return (config.profiles || []).find(p => p.name === name) || null;
+}
+
+// Whether `name` is a defined profile
+function exists(config, name) {
+    return Boolean(findProfile(config, name));
+}
+
+// The profile that applies when none is named (null if there is none)
+function defaultName(config) {
+    return config.defaultProfile && exists(config, config.defaultProfile) ? config.defaultProfile : null;
+}
+
+// Summaries for pickers and tool output
+function list(config) {
+    const fallback = defaultName(config);
+    return (config.profiles || []).map(p => ({
+        name: p.name,
+        description: p.description || '',
+        services: (p.services || config.services).length,
+        default: p.name === fallback
+    }));
+}
+
+// Base services in a profile, each with its override (if any)
+function members(config, profile) {
+    const base = config.services || [];
+    const chosen = profile.services
+        ? profile.services.map(ref => groups.findService(base, ref)).filter(Boolean)
+        : base;
+    const overrides = new Map();
+    Object.entries(profile.overrides || {}).forEach(([ref, override]) => {
+        const service = groups.findService(base, ref);
+        if (service) overrides.set(service.name, override);
+    });
+    return chosen.map(service => ({ service, override: overrides.get(service.name) || {} }));
+}
+
+// A service with a profile override applied
+function overrideService(service, override) {
+    const result = { ...service };
+    OVERRIDE_FIELDS.forEach(field => {
+        if (override[field] !== undefined) result[field] = override[field];
+    });
+    if (override.env) result.env = { ...service.env, ...override.env };
+    return result;
+}
+
+// Rewrite `refs` (names or base ports) to names of services in the profile
+function rewriteRefs(refs, base, names) {
+    return refs
+        .map(ref => groups.findService(base, ref))
+        .filter(service => service && names.has(service.name))
+        .map(service => service.name);
+}
+
+// The config as seen through one profile: `services` are the profile's
+// members with overrides applied; groups, dependsOn and global env follow.
+function apply(config, name) {
+    if (name === ALL) return union(config);
+    const profileName = name || defaultName(config);
+    if (!profileName) return { ...config, profile: null };
+
+    const profile = findProfile(config, profileName);
+    if (!profile) throw new Error(`Unknown profile "${profileName}"`);
+
+    const base = config.services || [];
+    const chosen = members(config, profile);
+    const names = new Set(chosen.map(m => m.service.name));
+    const services = chosen.map(({ service, override }) => {
+        const effective = overrideService(service, override);
+        if (service.dependsOn) effective.dependsOn = rewriteRefs(service.dependsOn, base, names);
+        return effective;
+    });
+
+    return {
+        ...config,
+        services,
+        groups: (config.groups || [])
+            .map(g => ({ ...g, services: rewriteRefs(g.services, base, names) }))
+            .filter(g => g.services.length > 0),
+        env: config.env || profile.env ? { ...config.env, ...profile.env } : undefined,
+        envFile: config.envFile || profile.envFile ? [].concat(config.envFile || [], profile.envFile || []) : undefined,
+        profile: profileName
+    };
+}
+
+// Every service any profile runs, one per port: the default view first,
+// then the other profiles' extra ports
+function union(config) {
+    const views = [apply(config, null), ...(config.profiles || []).map(p => apply(config, p.name))];
+    const byPort = new Map();
+    views.forEach(view => view.services.forEach(s => {
+        if (!byPort.has(s.port)) byPort.set(s.port, { ...s, profile: view.profile });
+    }));
+    return { ...config, services: [...byPort.values()], profile: ALL };
+}
+
+// The base services.json entry behind a service of a profile (by name,
+// since overrides may change the port)
+function baseService(config, name, port) {
+    const effective = apply(config, name).services.find(s => s.port === port);
+    return effective ? (config.services || []).find(s => s.name === effective.name) || null : null;
+}
+
+module.exports = {
+    ALL,
+    OVERRIDE_FIELDS,
+    exists,
+    defaultName,
+    list,
+    apply,
+    baseService
+};
@@ -0,0 +1,294 @@
+/**
+ * Reverse proxy for *.localhost hostnames
+ *
+ * With a "proxy" block in services.json, server.js also listens on
+ * proxy.port (default 9980) and routes each `<host>.localhost` to the
+ * configured port of the service it names:
+ *
+ *   "proxy": { "port": 9980 }
+ *   { "name": "Admin UI", "port": 3007, "alias": "admin", ... }
+ *
+ * makes http://admin.localhost:9980 reach port 3007; without an alias the
+ * hostname is the service's name as a slug (admin-ui.localhost). Browsers
+ * resolve *.localhost to the loopback address on their own, so nothing
+ * needs adding to /etc/hosts. WebSocket upgrades (dev-server HMR) are
+ * passed through. When the service isn't listening, browsers get a page
+ * offering to start it; that form carries a per-process nonce and must come
+ * from the service's own hostname, so other pages can't start services.
+ *
+ * Routes follow the default profile. Changing proxy.port needs a restart
+ * of server.js; alias and port changes apply within ROUTE_TTL.
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+
+const DEFAULT_PORT = 9980;
+const ROUTE_TTL = 2000;
+const START_PATH = '/__dashboard/start';
+const MAX_FORM_BYTES = 4096;
+
+// Lowercase name with runs of anything but letters and digits as hyphens
+function slug(name) {
+    return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+// The *.localhost hostname of a service
+function hostnameOf(service) {
+    return `${service.alias || slug(service.name) || `port-${service.port}`}.localhost`;
+}
+
+// The proxy settings of a config, or null when the proxy is off
+function settings(config) {
+    if (!config || !config.proxy) return null;
+    return { port: config.proxy.port || DEFAULT_PORT };
+}
+
+// The proxied URL of a service, or null when the proxy is off
+function urlOf(service, proxySettings) {
+    if (!proxySettings) return null;
+    const port = proxySettings.port === 80 ? '' : `:${proxySettings.port}`;
+    return `http://${hostnameOf(service)}${port}`;
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+// A small self-contained HTML page
+function page(title, body, { refresh = false } = {}) {
+    return `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><title>${escapeHtml(title)}</title>
+${refresh ? '<meta http-equiv="refresh" content="5">' : ''}
+<style>
+body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; background: #0d1117; color: #c9d1d9; display: flex; justify-content: center; padding-top: 15vh; margin: 0; }
+main { max-width: 480px; }
+h1 { font-size: 20px; color: #f0f6fc; }
+p, li { color: #8b949e; line-height: 1.5; }
+a { color: #58a6ff; }
+code { color: #c9d1d9; }
+button { background: #238636; color: #fff; border: 0; border-radius: 6px; padding: 8px 16px; font-size: 14px; cursor: pointer; }
+.error { color: #f85149; }
+</style></head>
+<body><main>${body}</main></body></html>`;
+}
+
+// Hostname of a request, without its port
+function requestHost(req) {
+    return String(req.headers.host || '').toLowerCase().replace(/:\d+$/, '');
+}
+
+// Headers for the upstream request, with the usual X-Forwarded-* added
+function forwardHeaders(req) {
+    return {
+        ...req.headers,
+        'x-forwarded-for': req.socket.remoteAddress,
+        'x-forwarded-host': req.headers.host,
+        'x-forwarded-proto': 'http'
+    };
+}
+
+// Response headers minus the hop-by-hop ones our own connection sets
+function responseHeaders(response) {
+    const { connection, 'keep-alive': keepAlive, ...headers } = response.headers;
+    return headers;
+}
+
+// Status line and headers of an upstream response, for a raw socket
+function rawHead(response) {
+    const lines = [`HTTP/1.1 ${response.statusCode} ${response.statusMessage}`];
+    for (let i = 0; i < response.rawHeaders.length; i += 2) {
+        lines.push(`${response.rawHeaders[i]}: ${response.rawHeaders[i + 1]}`);
+    }
+    return lines.join('\r\n') + '\r\n\r\n';
+}
+
+// Read a small urlencoded form body
+function readForm(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        let tooLarge = false;
+        req.on('data', (chunk) => {
+            if (tooLarge) return;
+            body += chunk;
+            if (body.length > MAX_FORM_BYTES) {
+                // The rest is read and dropped, not kept
+                tooLarge = true;
+                body = '';
+                reject(new Error('Form too large'));
+            }
+        });
+        req.on('end', () => resolve(new URLSearchParams(body)));
+        req.on('error', reject);
+    });
+}
+
+// Create the proxy server. `options`:
+//   services()            - the services to route to (read per ROUTE_TTL)
+//   start(service, req)   - start a service, resolving like engine.startService
+//   dashboardUrl          - link to the dashboard on error pages
+function createServer(options) {
+    const nonce = crypto.randomBytes(16).toString('hex');
+    let routes = null;
+    let routesAt = 0;
+    let routesError = null;
+
+    // hostname -> service, refreshed every ROUTE_TTL
+    function lookup(host) {
+        if (!routes || Date.now() - routesAt > ROUTE_TTL) {
+            try {
+                routes = new Map(options.services().map(s => [hostnameOf(s), s]));
+                routesError = null;
+            } catch (err) {
+                routes = new Map();
+                routesError = err.message;
+            }
+            routesAt = Date.now();
+        }
+        return routes.get(host) || null;
+    }
+
+    // 404 listing the hostnames we know
+    function sendUnknown(req, res) {
+        const host = requestHost(req);
+        const list = [...routes.entries()]
+            .map(([name, s]) => `<li><a href="//${name}:${server.address().port}/">${name}</a> &rarr; ${escapeHtml(s.name)} (:${s.port})</li>`)
+            .join('');
+        res.writeHead(404, { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' });
+        res.end(page('Unknown host', `<h1>No service at ${escapeHtml(host)}</h1>
+${routesError ? `<p class="error">services.json could not be read: ${escapeHtml(routesError)}</p>` : ''}
+<p>Configured hostnames:</p><ul>${list || '<li>(none)</li>'}</ul>
+<p><a href="${escapeHtml(options.dashboardUrl)}">Open the dashboard</a></p>`));
+    }
+
+    // The "service stopped - start it?" page (plain text for non-browsers)
+    function sendStopped(req, res, service, error = null) {
+        const wantsHtml = String(req.headers.accept || '').includes('text/html');
+        res.writeHead(502, { 'Content-Type': wantsHtml ? 'text/html; charset=utf-8' : 'text/plain', 'Cache-Control': 'no-store' });
+        if (!wantsHtml) {
+            res.end(`${service.name} is not running on port ${service.port}\n`);
+            return;
+        }
+        const back = req.method === 'GET' ? req.url : '/';
+        res.end(page(`${service.name} is stopped`, `<h1>${escapeHtml(service.name)} is stopped</h1>
+<p>Nothing is listening on port ${service.port}.</p>
+${error ? `<p class="error">${escapeHtml(error)}</p>` : ''}
+<form method="post" action="${START_PATH}">
+<input type="hidden" name="nonce" value="${nonce}">
+<input type="hidden" name="back" value="${escapeHtml(back)}">
+<button type="submit">Start ${escapeHtml(service.name)}</button>
+</form>
+<p><a href="${escapeHtml(options.dashboardUrl)}">Open the dashboard</a></p>`, { refresh: !error }));
+    }
+
+    // Start the service behind this hostname from the stopped page, then
+    // send the browser back where it was
+    async function handleStart(req, res, service) {
+        const host = req.headers.host;
+        let form;
+        try {
+            form = await readForm(req);
+        } catch {
+            res.writeHead(413);
+            res.end();
+            return;
+        }
+        if (req.headers.origin !== `http://${host}` || form.get('nonce') !== nonce) {
+            res.writeHead(403, { 'Content-Type': 'text/plain' });
+            res.end('Start requests must come from the proxy\'s own page\n');
+            return;
+        }
+        const result = await options.start(service, req);
+        if (!result.success) {
+            sendStopped(req, res, service, result.error);
+            return;
+        }
+        const back = form.get('back') || '/';
+        res.writeHead(303, { Location: back.startsWith('/') && !back.startsWith('//') ? back : '/' });
+        res.end();
+    }
+
+    const server = http.createServer(async (req, res) => {
+        const service = lookup(requestHost(req));
+        if (!service) {
+            sendUnknown(req, res);
+            return;
+        }
+        if (req.method === 'POST' && req.url === START_PATH) {
+            await handleStart(req, res, service);
+            return;
+        }
+
+        const upstream = http.request({
+            host: 'localhost',
+            port: service.port,
+            method: req.method,
+            path: req.url,
+            headers: forwardHeaders(req),
+            // See health.checkHttp: no keep-alive socket left on the port
+            agent: false,
+            autoSelectFamily: true
+        }, (response) => {
+            res.writeHead(response.statusCode, response.statusMessage, responseHeaders(response));
+            response.pipe(res);
+        });
+        upstream.on('error', (err) => {
+            if (res.headersSent) {
+                res.destroy();
+            } else if (err.code === 'ECONNREFUSED') {
+                sendStopped(req, res, service);
+            } else {
+                res.writeHead(502, { 'Content-Type': 'text/plain' });
+                res.end(`Proxy error for ${service.name} (:${service.port}): ${err.code || err.message}\n`);
+            }
+        });
+        req.on('aborted', () => upstream.destroy());
+        req.pipe(upstream);
+    });
+
+    // WebSocket (and other) upgrades: replay the handshake upstream, then
+    // splice the two sockets together
+    server.on('upgrade', (req, socket, head) => {
+        const service = lookup(requestHost(req));
+        socket.on('error', () => {});
+        if (!service) {
+            socket.end('HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n');
+            return;
+        }
+        const upstream = http.request({
+            host: 'localhost',
+            port: service.port,
+            method: req.method,
+            path: req.url,
+            headers: forwardHeaders(req),
+            agent: false,
+            autoSelectFamily: true
+        });
+        upstream.on('upgrade', (response, upstreamSocket, upstreamHead) => {
+            socket.write(rawHead(response));
+            if (upstreamHead.length) socket.write(upstreamHead);
+            if (head.length) upstreamSocket.write(head);
+            upstreamSocket.on('error', () => socket.destroy());
+            socket.on('close', () => upstreamSocket.destroy());
+            upstreamSocket.pipe(socket).pipe(upstreamSocket);
+        });
+        // The service answered without upgrading: relay that and close
+        upstream.on('response', (response) => {
+            socket.write(rawHead(response));
+            response.pipe(socket);
+        });
+        upstream.on('error', () => socket.end('HTTP/1.1 502 Bad Gateway\r\nConnection: close\r\n\r\n'));
+        upstream.end();
+    });
+
+    return server;
+}
+
+module.exports = {
+    DEFAULT_PORT,
+    slug,
+    hostnameOf,
+    settings,
+    urlOf,
+    createServer
+};
@@ -0,0 +1,179 @@
+/**
+ * Persistent process state
+ *
+ * Records every process the dashboard starts (pid, process group, start
+ * time, command, and which entry point started it) in state.json, so that
+ * a restarted dashboard can re-adopt its services and server.js and
+ * mcp-server.js agree on what is managed. Writes go to a temp file that is
+ * renamed into place, so readers never see a half-written file. Updates
+ * are queued within a process, and each read-modify-write holds
+ * state.json.lock, so entry points updating at the same time can't drop
+ * each other's records. Waiting for the lock never blocks the event loop.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const processes = require('./processes');
+
+const STATE_PATH = path.join(__dirname, '..', 'state.json');
+const LOCK_PATH = `${STATE_PATH}.lock`;
+// A lock older than this was left by a process that died mid-update
+const LOCK_STALE = 5000;
+const LOCK_TIMEOUT = 10000;
+const LOCK_RETRY = 10;
+
+// Managed processes keyed by port
+function load() {
+    try {
+        return JSON.parse(fs.readFileSync(STATE_PATH, 'utf8')).processes || {};
+    } catch {
+        return {};
+    }
+}
+
+// Write atomically: temp file, then rename over the old one
+function save(records) {
+    const tmp = `${STATE_PATH}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ processes: records }, null, 2));
+    fs.renameSync(tmp, STATE_PATH);
+}
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Take the cross-process lock, breaking one that has gone stale
+async function lock() {
+    const deadline = Date.now() + LOCK_TIMEOUT;
+    for (;;) {
+        try {
+            fs.closeSync(fs.openSync(LOCK_PATH, 'wx'));
+            return;
+        } catch (err) {
+            if (err.code !== 'EEXIST') throw err;
+        }
+        try {
+            if (Date.now() - fs.statSync(LOCK_PATH).mtimeMs > LOCK_STALE) {
+                fs.unlinkSync(LOCK_PATH);
+                continue;
+            }
+        } catch {
+            continue; // Released while we looked
+        }
+        if (Date.now() > deadline) throw new Error(`Timed out waiting for ${LOCK_PATH}`);
+        await delay(LOCK_RETRY);
+    }
+}
+
+function unlock() {
+    try {
+        fs.unlinkSync(LOCK_PATH);
+    } catch {
+        // Already broken as stale
+    }
+}
+
+// Serialize updates within this process
+let queue = Promise.resolve();
+
+// Read-modify-write against the latest file contents, under the lock.
+// Resolves with the records written.
+function update(fn) {
+    const run = queue.then(async () => {
+        await lock();
+        try {
+            const records = load();
+            fn(records);
+            save(records);
+            return records;
+        } finally {
+            unlock();
+        }
+    });
+    queue = run.catch(() => {});
+    return run;
+}
+
+// Record a newly spawned process. `owner` is the entry point that started
+// it ('web', 'mcp', ...), `profile` the services.json profile it ran under.
+async function record(port, { pid, name, command, cwd, owner, profile = null }) {
+    const entry = {
+        port,
+        name,
+        pid,
+        pgid: pid,
+        procStart: processes.getStartTime(pid),
+        startedAt: new Date().toISOString(),
+        command,
+        cwd,
+        owner,
+        profile
+    };
+    await update(records => {
+        records[port] = entry;
+    });
+    return entry;
+}
+
+// Forget a port's process. With `pgid`, only if it is still that process
+// (so a stale stop can't drop the record of a newer start).
+function remove(port, pgid = null) {
+    return update(records => {
+        if (records[port] && (pgid === null || records[port].pgid === pgid)) {
+            delete records[port];
+        }
+    });
+}
+
+// Flag a port's process as being stopped on purpose, so whichever entry
+// point spawned it doesn't report the exit as a crash
+function markStopping(port, stopping = true) {
+    return update(records => {
+        if (records[port]) records[port].stopping = stopping;
+    });
+}
+
+// The managed process for a port, if any
+function get(port) {
+    return load()[port] || null;
+}
+
+// All managed processes
+function list() {
+    return Object.values(load());
+}
+
+// Whether a record no longer describes a live process group: nothing is
+// left in the group, or its leader's pid now belongs to a newer process
+function isStale(entry, all) {
+    const group = all.filter(p => p.pgid === entry.pgid);
+    if (group.length === 0) return true;
+    const leader = group.find(p => p.pid === entry.pgid);
+    return Boolean(leader && entry.procStart && processes.getStartTime(entry.pgid) !== entry.procStart);
+}
+
+// Drop records whose processes are gone. Returns { live, stale }.
+async function prune() {
+    const all = await processes.listProcesses();
+    const entries = list();
+    const stale = entries.filter(entry => isStale(entry, all));
+
+    if (stale.length > 0) {
+        await update(records => {
+            stale.forEach(entry => {
+                if (records[entry.port] && records[entry.port].pgid === entry.pgid) {
+                    delete records[entry.port];
+                }
+            });
+        });
+    }
+    return { live: entries.filter(entry => !stale.includes(entry)), stale };
+}
+
+module.exports = {
+    STATE_PATH,
+    record,
+    remove,
+    markStopping,
+    get,
+    list,
+    prune
+};
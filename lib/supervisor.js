@@ -0,0 +1,124 @@
+/**
+ * Auto-restart supervisor
+ *
+ * Services opt in with a `restart` policy in services.json, either as a
+ * string ("never", "on-failure", "always") or as an object:
+ *
+ *   "restart": { "policy": "on-failure", "maxRestarts": 5, "window": 60000,
+ *                "backoff": 1000, "maxBackoff": 30000 }
+ *
+ * Restarts back off exponentially. More than `maxRestarts` restarts within
+ * `window` ms is treated as a crash loop: the service is left crashed until
+ * someone starts it by hand.
+ */
+
+const POLICIES = ['never', 'on-failure', 'always'];
+const MAX_HISTORY = 20;
+
+// port -> { restarts, exits, restartTimes, timer, nextRestartAt, crashLooped }
+const supervised = new Map();
+
+// Normalized restart policy for a service
+function getPolicy(service) {
+    const restart = typeof service.restart === 'string' ? { policy: service.restart } : (service.restart || {});
+    return {
+        policy: POLICIES.includes(restart.policy) ? restart.policy : 'never',
+        maxRestarts: restart.maxRestarts || 5,
+        window: restart.window || 60000,
+        backoff: restart.backoff || 1000,
+        maxBackoff: restart.maxBackoff || 30000
+    };
+}
+
+function getEntry(port) {
+    if (!supervised.has(port)) {
+        supervised.set(port, { restarts: 0, exits: [], restartTimes: [], timer: null, nextRestartAt: null, crashLooped: false });
+    }
+    return supervised.get(port);
+}
+
+// Cancel any pending restart (e.g. the service was stopped by hand)
+function cancel(port) {
+    const entry = supervised.get(port);
+    if (entry && entry.timer) {
+        clearTimeout(entry.timer);
+        entry.timer = null;
+        entry.nextRestartAt = null;
+    }
+}
+
+// A start requested by a user clears the crash-loop guard
+function resetCrashLoop(port) {
+    const entry = getEntry(port);
+    cancel(port);
+    entry.crashLooped = false;
+    entry.restartTimes = [];
+}
+
+// Record an unexpected exit and decide what happens next. `restart` is
+// called after the backoff delay if the policy wants the service back.
+// Returns { action: 'none' | 'restart' | 'crash-loop', delay?, detail }.
+function handleExit(service, { code, signal }, restart) {
+    const policy = getPolicy(service);
+    const entry = getEntry(service.port);
+    const now = Date.now();
+
+    entry.exits.push({ time: new Date(now).toISOString(), code, signal });
+    if (entry.exits.length > MAX_HISTORY) entry.exits.shift();
+
+    const failed = code !== 0;
+    if (policy.policy === 'never' || (policy.policy === 'on-failure' && !failed)) {
+        return { action: 'none', detail: `Not restarting (policy: ${policy.policy})` };
+    }
+
+    entry.restartTimes = entry.restartTimes.filter(t => now - t < policy.window);
+    if (entry.restartTimes.length >= policy.maxRestarts) {
+        entry.crashLooped = true;
+        return {
+            action: 'crash-loop',
+            detail: `Crash loop: ${entry.restartTimes.length} restarts in ${Math.round(policy.window / 1000)}s, giving up`
+        };
+    }
+
+    const delay = Math.min(policy.backoff * Math.pow(2, entry.restartTimes.length), policy.maxBackoff);
+    entry.restartTimes.push(now);
+    cancel(service.port);
+    entry.nextRestartAt = new Date(now + delay).toISOString();
+    entry.timer = setTimeout(() => {
+        entry.timer = null;
+        entry.nextRestartAt = null;
+        entry.restarts++;
+        restart();
+    }, delay);
+
+    return {
+        action: 'restart',
+        delay,
+        detail: `Restarting in ${delay}ms (attempt ${entry.restartTimes.length} of ${policy.maxRestarts})`
+    };
+}
+
+// Restart history for a service, for the API and the MCP tools
+function getInfo(service) {
+    const policy = getPolicy(service);
+    const entry = supervised.get(service.port);
+    const lastExit = entry && entry.exits.length ? entry.exits[entry.exits.length - 1] : null;
+    return {
+        policy: policy.policy,
+        restarts: entry ? entry.restarts : 0,
+        lastExit,
+        exitCode: lastExit ? lastExit.code : null,
+        crashLooped: entry ? entry.crashLooped : false,
+        nextRestartAt: entry ? entry.nextRestartAt : null,
+        exits: entry ? entry.exits.slice() : []
+    };
+}
+
+module.exports = {
+    POLICIES,
+    getPolicy,
+    handleExit,
+    cancel,
+    resetCrashLoop,
+    getInfo
+};
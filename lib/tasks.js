@@ -0,0 +1,182 @@
+/**
+ * Service tasks
+ *
+ * One-off commands a service defines next to its startCmd - tests,
+ * migrations, builds:
+ *
+ *   "tasks": {
+ *     "test": "npm test",
+ *     "migrate": { "cmd": "alembic upgrade head", "description": "Apply migrations", "timeout": 600000 }
+ *   }
+ *
+ * A run executes in the service's directory with its resolved env. When it
+ * ends, its exit code, duration and the tail of its output are appended to
+ * logs/tasks-<port>.jsonl, which keeps the last HISTORY_SIZE runs and is
+ * shared by every entry point (under DASHBOARD_LOG_DIR when that is set). A
+ * run still going after its timeout is killed along with its process group.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const LOG_DIR = process.env.DASHBOARD_LOG_DIR || path.join(__dirname, '..', 'logs');
+const DEFAULT_TIMEOUT = 10 * 60 * 1000;
+const HISTORY_SIZE = 20;
+const MAX_OUTPUT_BYTES = 64 * 1024;
+
+// `${port}:${task}` -> run in progress in this process
+const active = new Map();
+
+// A task entry as { name, cmd, description, timeout }
+function normalize(name, task) {
+    const entry = typeof task === 'string' ? { cmd: task } : task;
+    return {
+        name,
+        cmd: entry.cmd,
+        description: entry.description || '',
+        timeout: entry.timeout || DEFAULT_TIMEOUT
+    };
+}
+
+// A service's tasks, each flagged if this process is running it
+function list(service) {
+    return Object.entries(service.tasks || {}).map(([name, task]) => ({
+        ...normalize(name, task),
+        running: active.has(`${service.port}:${name}`)
+    }));
+}
+
+function historyPath(port) {
+    return path.join(LOG_DIR, `tasks-${port}.jsonl`);
+}
+
+// Finished runs of a service's tasks, newest first
+function history(port, limit = HISTORY_SIZE) {
+    let text;
+    try {
+        text = fs.readFileSync(historyPath(port), 'utf8');
+    } catch {
+        return [];
+    }
+    return text.split('\n').filter(Boolean).map(line => {
+        try {
+            return JSON.parse(line);
+        } catch {
+            return null;
+        }
+    }).filter(Boolean).reverse().slice(0, limit);
+}
+
+// Append a finished run, dropping all but the last HISTORY_SIZE
+function record(run) {
+    try {
+        fs.mkdirSync(LOG_DIR, { recursive: true });
+        const runs = [run, ...history(run.port, HISTORY_SIZE - 1)].reverse();
+        const file = historyPath(run.port);
+        const tmp = `${file}.${process.pid}.tmp`;
+        fs.writeFileSync(tmp, runs.map(r => JSON.stringify(r)).join('\n') + '\n');
+        fs.renameSync(tmp, file);
+    } catch (err) {
+        console.error(`Failed to record task run: ${err.message}`);
+    }
+}
+
+// Runs in progress in this process for a port
+function running(port) {
+    return [...active.values()].filter(run => run.port === port);
+}
+
+// Start a task. `options`: cwd, env (resolved variables), source. Returns
+// { run, done }: the run as started, and a promise of the finished run
+// (which never rejects).
+function start(service, name, options) {
+    const task = list(service).find(t => t.name === name);
+    if (!task) throw new Error(`${service.name} has no task "${name}"`);
+    const key = `${service.port}:${name}`;
+    if (active.has(key)) throw new Error(`${name} is already running for ${service.name}`);
+
+    const startedAt = Date.now();
+    const run = {
+        id: `${startedAt.toString(36)}-${process.pid}`,
+        port: service.port,
+        service: service.name,
+        task: name,
+        command: task.cmd,
+        source: options.source || null,
+        startedAt: new Date(startedAt).toISOString(),
+        status: 'running'
+    };
+    active.set(key, run);
+
+    const child = spawn(task.cmd, {
+        cwd: options.cwd,
+        shell: true,
+        detached: true,
+        stdio: ['ignore', 'pipe', 'pipe'],
+        env: { ...process.env, ...options.env }
+    });
+
+    // stdout and stderr interleaved, keeping only the tail
+    let output = '';
+    const collect = chunk => {
+        output += chunk.toString();
+        if (output.length > MAX_OUTPUT_BYTES) output = output.slice(-MAX_OUTPUT_BYTES);
+    };
+    child.stdout.on('data', collect);
+    child.stderr.on('data', collect);
+
+    let timedOut = false;
+    const timer = setTimeout(() => {
+        timedOut = true;
+        try {
+            process.kill(-child.pid, 'SIGKILL');
+        } catch {
+            // Already gone
+        }
+    }, task.timeout);
+
+    const done = new Promise((resolve) => {
+        let spawnError = null;
+        let ended = false;
+        const finish = (code, signal) => {
+            if (ended) return;
+            ended = true;
+            clearTimeout(timer);
+            active.delete(key);
+            const success = code === 0 && !timedOut;
+            const finished = {
+                ...run,
+                status: success ? 'succeeded' : 'failed',
+                exitCode: code,
+                signal,
+                finishedAt: new Date().toISOString(),
+                duration: Date.now() - startedAt,
+                output,
+                success,
+                error: success ? null
+                    : timedOut ? `Timed out after ${task.timeout}ms`
+                    : spawnError || (signal ? `Killed by ${signal}` : `Exited with code ${code}`)
+            };
+            record(finished);
+            resolve(finished);
+        };
+        child.on('error', (err) => {
+            spawnError = err.message;
+            // A process that never started won't emit close
+            if (!child.pid) finish(null, null);
+        });
+        child.on('close', finish);
+    });
+
+    return { run, done };
+}
+
+module.exports = {
+    DEFAULT_TIMEOUT,
+    normalize,
+    list,
+    history,
+    running,
+    start
+};
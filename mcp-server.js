@@ -10,128 +10,146 @@
  * - start_service: Start a service by port
  * - stop_service: Stop a service by port
  * - get_service_info: Get detailed info about a service
+ * - get_service_logs: Read the last N lines of a service's output
+ * - start_group: Start a group of services in dependency order
+ * - stop_group: Stop a group of services in reverse dependency order
+ * - discover_projects: Scan project directories for services not yet configured
+ * - import_projects: Add discovered projects to services.json
+ * - list_listening_ports: Every listening port with its owner, flagging impostors
+ * - get_service_metrics: CPU, memory, threads and open files of a service's processes
+ * - list_profiles: Profiles (workspaces) defined in services.json
+ * - probe_endpoints: Request a running service's endpoints and check their assertions
+ * - list_tasks: A service's named tasks (test, migrate, build...) and recent runs
+ * - run_task: Run one of a service's tasks and wait for its exit code and output
+ * - open_service: Open a service's directory in the editor, file manager or a terminal
+ *
+ * Service and group tools take an optional `profile`; without one they use
+ * the default profile, as the dashboard does. Tool results carry the same
+ * data as JSON in `structuredContent` next to the formatted text.
+ *
+ * Resources (JSON unless noted; subscribe to be told when one changes):
+ * - dashboard://services: Every service with its live status
+ * - dashboard://services/{port}/config: A service's config entry, env masked
+ * - dashboard://services/{port}/status: Its state, health detail, ownership and restarts
+ * - dashboard://services/{port}/logs: Its recent output (text)
+ *
+ * Prompts:
+ * - diagnose_service: Why won't this service start? (config, status, logs, recent actions)
+ * - verify_service: Did a change break this service? (status, endpoint probe, logs)
+ * - status_report: Summary of every service and recent failed actions
  */
 
+const fs = require('fs');
+const path = require('path');
 const { Server } = require('@modelcontextprotocol/sdk/server/index.js');
 const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio.js');
 const {
     CallToolRequestSchema,
     ListToolsRequestSchema,
+    ListResourcesRequestSchema,
+    ListResourceTemplatesRequestSchema,
+    ReadResourceRequestSchema,
+    SubscribeRequestSchema,
+    UnsubscribeRequestSchema,
+    ListPromptsRequestSchema,
+    GetPromptRequestSchema,
+    McpError,
+    ErrorCode,
 } = require('@modelcontextprotocol/sdk/types.js');
-const { exec } = require('child_process');
-const { spawn } = require('child_process');
-const fs = require('fs');
-const path = require('path');
-const os = require('os');
+const health = require('./lib/health');
+const ports = require('./lib/ports');
+const supervisor = require('./lib/supervisor');
+const state = require('./lib/state');
+const servicesConfig = require('./lib/config');
+const env = require('./lib/env');
+const discovery = require('./lib/discovery');
+const listeners = require('./lib/listeners');
+const metrics = require('./lib/metrics');
+const probe = require('./lib/probe');
+const engine = require('./lib/engine');
+const profiles = require('./lib/profiles');
+const audit = require('./lib/audit');
+const git = require('./lib/git');
+const tasks = require('./lib/tasks');
+const containers = require('./lib/containers');
+const launcher = require('./lib/launcher');
 
-const HOME = os.homedir();
-const CONFIG_PATH = path.join(__dirname, 'services.json');
+const { expandPath, formatUptime } = engine;
 
-// Load services
-function loadServices() {
+const TASK_OUTPUT_LINES = 80;
+const TASK_PROGRESS_INTERVAL = 5000;
+
+const STATE_ICONS = {
+    healthy: '🟢',
+    starting: '🔵',
+    unhealthy: '🟡',
+    crashed: '🔴',
+    stopped: '⚫'
+};
+
+// The optional `profile` argument shared by service and group tools
+const PROFILE_ARG = {
+    type: 'string',
+    description: 'Profile (workspace) from services.json; the default profile if omitted'
+};
+
+// Load the whole config (services and groups) as seen through a profile
+function loadConfig(profile) {
     try {
-        return JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8')).services;
+        return engine.loadConfig(profile);
     } catch {
-        return [];
+        return { services: [], groups: [] };
     }
 }
 
-// Expand ~ to home
-function expandPath(p) {
-    return p.replace(/^~/, HOME);
+// Load services
+function loadServices(profile) {
+    return loadConfig(profile).services;
 }
 
-// Check port status
-function checkPort(port) {
-    return new Promise((resolve) => {
-        exec(`lsof -i :${port} -t`, (error, stdout) => {
-            resolve({
-                running: !!stdout.trim(),
-                pid: stdout.trim().split('\n')[0] || null
-            });
-        });
-    });
+// Reject a `profile` argument that names no profile
+function checkProfile(profile) {
+    if (!profile) return;
+    const config = servicesConfig.loadConfig();
+    if (!profiles.exists(config, profile)) {
+        const names = profiles.list(config).map(p => p.name);
+        throw new Error(`Unknown profile "${profile}". Profiles: ${names.join(', ') || 'none'}`);
+    }
 }
 
-// Get all services with status
-async function getAllServicesStatus() {
-    const services = loadServices();
-    const results = await Promise.all(
-        services.map(async (s) => {
-            const status = await checkPort(s.port);
-            return {
-                name: s.name,
-                port: s.port,
-                path: s.path,
-                type: s.type,
-                running: status.running,
-                pid: status.pid,
-                startCmd: s.startCmd,
-                github: s.github || null,
-                url: status.running ? `http://localhost:${s.port}` : null
-            };
-        })
-    );
-    return results;
+// Who is acting, for the engine and the audit log
+function mcpContext(profile) {
+    const clientInfo = server.getClientVersion();
+    return { source: 'mcp', client: clientInfo ? `${clientInfo.name} ${clientInfo.version}` : null, profile };
 }
 
-// Start a service
-async function startService(port) {
-    const services = loadServices();
-    const service = services.find(s => s.port === port);
-
-    if (!service) {
-        return { success: false, error: `No service configured for port ${port}` };
-    }
-
-    const cwd = expandPath(service.path);
-    if (!fs.existsSync(cwd)) {
-        return { success: false, error: `Directory not found: ${cwd}` };
-    }
-
-    const status = await checkPort(port);
-    if (status.running) {
-        return { success: false, error: `Port ${port} already in use (pid: ${status.pid})` };
-    }
-
-    return new Promise((resolve) => {
-        const [cmd, ...args] = service.startCmd.split(' ');
-        const child = spawn(cmd, args, {
-            cwd,
-            shell: true,
-            detached: true,
-            stdio: 'ignore',
-            env: { ...process.env, PORT: port.toString() }
-        });
-        child.unref();
-
-        setTimeout(async () => {
-            const newStatus = await checkPort(port);
-            resolve({
-                success: true,
-                service: service.name,
-                port: port,
-                started: newStatus.running,
-                message: newStatus.running
-                    ? `Started ${service.name} on port ${port}`
-                    : `Start command sent, but service may still be initializing`
-            });
-        }, 2000);
-    });
+// Captured output lines as text
+function formatLogLines(lines) {
+    return lines.map(l => l.stream === 'system' ? `[dashboard] ${l.text}` : l.text).join('\n');
 }
 
-// Stop a service
-async function stopService(port) {
-    const status = await checkPort(port);
-    if (!status.running) {
-        return { success: false, error: `Nothing running on port ${port}` };
-    }
+// One line of git working-copy status
+function formatGit(repo) {
+    if (!repo) return 'not a git repository';
+    const changes = [
+        repo.modified && `${repo.modified} modified`,
+        repo.untracked && `${repo.untracked} untracked`,
+        repo.conflicts && `${repo.conflicts} conflicted`
+    ].filter(Boolean);
+    const tracking = repo.upstream
+        ? repo.ahead || repo.behind ? `, ${repo.ahead} ahead/${repo.behind} behind ${repo.upstream}` : `, up to date with ${repo.upstream}`
+        : '';
+    return `${repo.detached ? 'detached HEAD' : repo.branch} @ ${repo.head || '(no commits)'}${tracking}` +
+        `${changes.length ? ` - ${changes.join(', ')}` : ' - clean'}${repo.subject ? ` - "${repo.subject}"` : ''}`;
+}
 
-    return new Promise((resolve) => {
-        exec(`lsof -i :${port} -t | xargs kill -9 2>/dev/null`, () => {
-            resolve({ success: true, message: `Stopped service on port ${port}` });
-        });
-    });
+// Format per-service results of a group start/stop
+function formatGroupResults(results) {
+    return results.map(r => {
+        const icon = r.skipped ? '⏭️' : r.success === false || (r.state && r.state !== 'healthy') ? '❌' : '✅';
+        const detail = r.skipped ? 'skipped' : r.state || r.message || r.error || '';
+        return `${icon} ${r.name} [:${r.port}] ${detail}`;
+    }).join('\n');
 }
 
 // Create MCP server
@@ -143,6 +161,8 @@ const server = new Server(
     {
         capabilities: {
             tools: {},
+            resources: { subscribe: true, listChanged: true },
+            prompts: {},
         },
     }
 );
@@ -157,6 +177,7 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
                 inputSchema: {
                     type: 'object',
                     properties: {
+                        profile: PROFILE_ARG,
                         filter: {
                             type: 'string',
                             enum: ['all', 'running', 'stopped', 'frontend', 'backend', 'api'],
@@ -171,6 +192,7 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
                 inputSchema: {
                     type: 'object',
                     properties: {
+                        profile: PROFILE_ARG,
                         port: {
                             type: 'number',
                             description: 'The port number to check'
@@ -185,9 +207,15 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
                 inputSchema: {
                     type: 'object',
                     properties: {
+                        profile: PROFILE_ARG,
                         port: {
                             type: 'number',
                             description: 'The port number of the service to start'
+                        },
+                        env: {
+                            type: 'object',
+                            description: 'Environment variables for this start only, overriding the service\'s configured env (e.g. {"NODE_ENV": "production"}). ${port}, ${path} and ${name} are expanded.',
+                            additionalProperties: { type: 'string' }
                         }
                     },
                     required: ['port']
@@ -195,13 +223,22 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
             },
             {
                 name: 'stop_service',
-                description: 'Stop a running service by its port number',
+                description: 'Stop a running service by its port number. Sends SIGTERM to the process group the dashboard started, then SIGKILL after a grace period. Refuses to kill a port owner the dashboard did not start unless force is set.',
                 inputSchema: {
                     type: 'object',
                     properties: {
+                        profile: PROFILE_ARG,
                         port: {
                             type: 'number',
                             description: 'The port number of the service to stop'
+                        },
+                        force: {
+                            type: 'boolean',
+                            description: 'Also kill a port owner that the dashboard did not start'
+                        },
+                        grace: {
+                            type: 'number',
+                            description: 'Milliseconds to wait after SIGTERM before SIGKILL (default 5000)'
                         }
                     },
                     required: ['port']
@@ -213,9 +250,203 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
                 inputSchema: {
                     type: 'object',
                     properties: {
+                        profile: PROFILE_ARG,
+                        port: {
+                            type: 'number',
+                            description: 'The port number of the service'
+                        }
+                    },
+                    required: ['port']
+                }
+            },
+            {
+                name: 'get_service_logs',
+                description: 'Read the most recent output (stdout/stderr, or the container logs of a docker/compose service) of a service. Use this after a failed start to see why it crashed.',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        port: {
+                            type: 'number',
+                            description: 'The port number of the service'
+                        },
+                        lines: {
+                            type: 'number',
+                            description: 'Number of lines to return (default 50)'
+                        }
+                    },
+                    required: ['port']
+                }
+            },
+            {
+                name: 'start_group',
+                description: `Start a named group of services (a stack) in dependency order, waiting for each dependency to be healthy first. Configured groups: ${(loadConfig().groups || []).map(g => g.name).join(', ') || 'none'}`,
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        profile: PROFILE_ARG,
+                        name: {
+                            type: 'string',
+                            description: 'The group name from services.json'
+                        }
+                    },
+                    required: ['name']
+                }
+            },
+            {
+                name: 'stop_group',
+                description: 'Stop a named group of services, dependents before the services they depend on',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        profile: PROFILE_ARG,
+                        name: {
+                            type: 'string',
+                            description: 'The group name from services.json'
+                        }
+                    },
+                    required: ['name']
+                }
+            },
+            {
+                name: 'discover_projects',
+                description: 'Scan project directories for runnable projects (package.json dev scripts, Vite/Next apps, FastAPI/Flask entrypoints, docker-compose services) and propose services.json entries for them. Nothing is changed; use import_projects to add them.',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        roots: {
+                            type: 'array',
+                            items: { type: 'string' },
+                            description: 'Directories to scan (default: discovery.roots in services.json, or ~/ztgi)'
+                        },
+                        maxDepth: {
+                            type: 'number',
+                            description: `How many directory levels to descend (default ${discovery.DEFAULT_MAX_DEPTH})`
+                        }
+                    }
+                }
+            },
+            {
+                name: 'import_projects',
+                description: 'Add discovered projects to services.json in one step. Re-runs the scan and imports the new candidates whose name or path is listed.',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        select: {
+                            type: 'array',
+                            items: { type: 'string' },
+                            description: 'Candidate names or paths from discover_projects'
+                        },
+                        roots: {
+                            type: 'array',
+                            items: { type: 'string' },
+                            description: 'Directories to scan, as passed to discover_projects'
+                        },
+                        maxDepth: {
+                            type: 'number',
+                            description: 'Scan depth, as passed to discover_projects'
+                        }
+                    },
+                    required: ['select']
+                }
+            },
+            {
+                name: 'list_listening_ports',
+                description: 'List every listening TCP port with its PID, command and working directory. Configured ports are marked managed (started by the dashboard), expected (running from the project directory), impostor (held by some other process) or unknown.',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        include: {
+                            type: 'string',
+                            enum: ['all', 'unconfigured', 'conflicts'],
+                            description: 'all ports (default), only ports not in services.json, or only configured ports held by an impostor'
+                        }
+                    }
+                }
+            },
+            {
+                name: 'get_service_metrics',
+                description: 'Get CPU%, memory (RSS), thread count and open file count for a running service, summed over its whole process tree, plus recent history (peak/average) once sampling has been running.',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        profile: PROFILE_ARG,
+                        port: {
+                            type: 'number',
+                            description: 'The port number of the service'
+                        }
+                    },
+                    required: ['port']
+                }
+            },
+            {
+                name: 'probe_endpoints',
+                description: 'Request every endpoint a running service lists in services.json and report status code, latency and content type, checking any expectedStatus / bodyContains assertions. Use this after a change to verify no route broke.',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        profile: PROFILE_ARG,
                         port: {
                             type: 'number',
                             description: 'The port number of the service'
+                        },
+                        paths: {
+                            type: 'array',
+                            items: { type: 'string' },
+                            description: 'Only probe these of its endpoints (default: all)'
+                        }
+                    },
+                    required: ['port']
+                }
+            },
+            {
+                name: 'list_tasks',
+                description: 'List the named tasks a service defines in services.json (e.g. test, migrate, build) with the result of their recent runs',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        profile: PROFILE_ARG,
+                        port: {
+                            type: 'number',
+                            description: 'The port number of the service'
+                        }
+                    },
+                    required: ['port']
+                }
+            },
+            {
+                name: 'run_task',
+                description: 'Run one of a service\'s tasks (see list_tasks) in its directory with its environment, wait for it to finish and return the exit code, duration and the end of its output. Use this to run a project\'s tests through the dashboard.',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        profile: PROFILE_ARG,
+                        port: {
+                            type: 'number',
+                            description: 'The port number of the service'
+                        },
+                        task: {
+                            type: 'string',
+                            description: 'The task name'
+                        }
+                    },
+                    required: ['port', 'task']
+                }
+            },
+            {
+                name: 'open_service',
+                description: 'Open a service\'s directory on the user\'s desktop: in their editor, file manager or a new terminal, as configured under "launchers" in services.json. Use this when the user asks to open or look at a project.',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        profile: PROFILE_ARG,
+                        port: {
+                            type: 'number',
+                            description: 'The port number of the service'
+                        },
+                        target: {
+                            type: 'string',
+                            enum: launcher.TARGETS,
+                            description: 'What to open it in (default editor)'
                         }
                     },
                     required: ['port']
@@ -224,6 +455,16 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
             {
                 name: 'quick_status',
                 description: 'Get a quick summary of running vs stopped services',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        profile: PROFILE_ARG
+                    }
+                }
+            },
+            {
+                name: 'list_profiles',
+                description: 'List the profiles (workspaces) defined in services.json, e.g. "dev" and "e2e" variants of the same project with their own ports and env. Pass a profile name to the service and group tools to work in it.',
                 inputSchema: {
                     type: 'object',
                     properties: {}
@@ -233,14 +474,52 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
     };
 });
 
+function formatBytes(bytes) {
+    if (bytes >= 1024 ** 3) return `${(bytes / 1024 ** 3).toFixed(1)} GB`;
+    return `${Math.round(bytes / 1024 ** 2)} MB`;
+}
+
+// The process group we (or the web dashboard) spawned for a service, else
+// whatever holds its port
+async function metricsRoot(service) {
+    await state.prune();
+    const record = state.get(service.port);
+    if (record) return record.pgid;
+    return (await ports.checkPort(service.port)).pid || null;
+}
+
+// History is only kept once something asks for metrics, so an idle MCP
+// session doesn't sample in the background
+let metricsStarted = false;
+function ensureMetricsSampler() {
+    if (metricsStarted) return;
+    metricsStarted = true;
+    metrics.start(engine.metricsTargets);
+}
+
+// Scan for projects, with optional `roots`/`maxDepth` from a tool call
+function scanProjects(args) {
+    const config = loadConfig();
+    const roots = args.roots && args.roots.length ? args.roots : discovery.getRoots(config);
+    const maxDepth = args.maxDepth || (config.discovery && config.discovery.maxDepth) || discovery.DEFAULT_MAX_DEPTH;
+    return { roots, candidates: discovery.scan(roots, config.services, { maxDepth }) };
+}
+
+function formatCandidate(c) {
+    const status = c.status === 'configured' ? ` (already configured as ${c.configuredAs.name} [:${c.configuredAs.port}])` : '';
+    return `• ${c.name} [:${c.port}] ${c.type}, ${c.detectedBy}${status}\n` +
+        `    ${c.path} → ${discovery.describeStart(c)}${c.github ? `\n    ${c.github}` : ''}${c.note ? `\n    ⚠️ ${c.note}` : ''}`;
+}
+
 // Handle tool calls
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
+server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
     const { name, arguments: args } = request.params;
 
     try {
+        checkProfile(args?.profile);
         switch (name) {
             case 'list_services': {
-                let services = await getAllServicesStatus();
+                let services = await engine.getAllStatus(args?.profile);
                 const filter = args?.filter || 'all';
 
                 if (filter === 'running') {
@@ -252,20 +531,22 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
                 }
 
                 const formatted = services.map(s =>
-                    `${s.running ? '🟢' : '⚫'} ${s.name} [:${s.port}] ${s.running ? s.url : '(stopped)'}`
+                    `${STATE_ICONS[s.state] || '⚫'} ${s.name} [:${s.port}] ${s.running ? `${s.proxyUrl || s.url} (${s.state})` : `(${s.state})`}`
                 ).join('\n');
 
+                const profile = services.length ? loadConfig(args?.profile).profile : null;
                 return {
                     content: [{
                         type: 'text',
-                        text: `Local Services (${filter}):\n\n${formatted}\n\nTotal: ${services.length} services`
-                    }]
+                        text: `Local Services (${filter}${profile ? `, profile ${profile}` : ''}):\n\n${formatted}\n\nTotal: ${services.length} services`
+                    }],
+                    structuredContent: { profile, filter, services }
                 };
             }
 
             case 'check_port': {
-                const status = await checkPort(args.port);
-                const services = loadServices();
+                const status = await ports.checkPort(args.port);
+                const services = loadServices(args.profile);
                 const service = services.find(s => s.port === args.port);
 
                 return {
@@ -274,34 +555,52 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
                         text: status.running
                             ? `Port ${args.port} is RUNNING (pid: ${status.pid})${service ? ` - ${service.name}` : ''}`
                             : `Port ${args.port} is NOT running${service ? ` - ${service.name} is stopped` : ''}`
-                    }]
+                    }],
+                    structuredContent: { port: args.port, ...status, service: service ? service.name : null }
                 };
             }
 
             case 'start_service': {
-                const result = await startService(args.port);
+                if (args.env !== undefined && !env.isEnvMap(args.env)) {
+                    return {
+                        content: [{ type: 'text', text: '❌ env must map variable names to strings, numbers or booleans' }],
+                        isError: true
+                    };
+                }
+                const service = loadServices(args.profile).find(s => s.port === args.port);
+                if (!service) {
+                    return {
+                        content: [{ type: 'text', text: `❌ Failed: No service configured for port ${args.port}` }],
+                        isError: true
+                    };
+                }
+                const result = await engine.startService(service, mcpContext(args.profile), { env: args.env });
                 return {
                     content: [{
                         type: 'text',
                         text: result.success
-                            ? `✅ ${result.message}\nURL: http://localhost:${args.port}`
-                            : `❌ Failed: ${result.error}`
-                    }]
+                            ? `✅ Started ${service.name} on port ${args.port} (${result.detail})\nURL: ${engine.proxyRoutes().get(args.port) || `http://localhost:${args.port}`}`
+                            : `❌ Failed: ${result.error}${result.pid ? '. Use get_service_logs to see its output.' : ''}`
+                    }],
+                    structuredContent: result,
+                    isError: !result.success
                 };
             }
 
             case 'stop_service': {
-                const result = await stopService(args.port);
+                const result = await engine.stopService(args.port, mcpContext(args.profile), { force: args.force, grace: args.grace });
                 return {
                     content: [{
                         type: 'text',
                         text: result.success ? `✅ ${result.message}` : `❌ ${result.error}`
-                    }]
+                    }],
+                    structuredContent: result,
+                    isError: !result.success
                 };
             }
 
             case 'get_service_info': {
-                const services = loadServices();
+                const services = loadServices(args.profile);
                 const service = services.find(s => s.port === args.port);
 
                 if (!service) {
@@ -313,25 +612,340 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
                     };
                 }
 
-                const status = await checkPort(args.port);
+                // Container services report the container's state, not the port's
+                const container = containers.isContainer(service) ? await containers.inspect(service) : null;
+                const status = container ? { running: container.running } : await ports.checkPort(args.port);
+                const readiness = container
+                    ? containers.readiness(container)
+                    : await health.resolveState(service, status, { cwd: expandPath(service.path) });
+                const restarts = supervisor.getInfo(service);
+                await state.prune();
+                const managed = container ? null : state.get(args.port);
+                const ownership = container
+                    ? `by ${service.runtime} (${container.exists ? `container ${container.id || containers.containerName(service)}, ${container.status}` : 'no container yet'})`
+                    : managed
+                        ? `yes (started via ${managed.owner}, pid ${managed.pid}, up ${formatUptime(managed.startedAt)})`
+                        : status.running ? 'no (started outside the dashboard)' : 'no';
+                const owner = container ? null : await listeners.identify(service, status, managed);
+                let environment;
+                let vars = null;
+                try {
+                    vars = env.mask(env.resolve(service, {
+                        globals: loadConfig(args.profile),
+                        cwd: expandPath(service.path),
+                        configDir: __dirname
+                    }));
+                    environment = Object.entries(vars).map(([key, value]) => `  ${key}=${value}`).join('\n');
+                } catch (err) {
+                    environment = `  (unavailable: ${err.message})`;
+                }
+                const repo = await git.status(expandPath(service.path));
+                const proxyUrl = engine.proxyRoutes().get(service.port) || null;
+                const lastExit = restarts.lastExit
+                    ? `${restarts.lastExit.signal ? `signal ${restarts.lastExit.signal}` : `code ${restarts.lastExit.code}`} at ${restarts.lastExit.time}`
+                    : 'none';
 
                 return {
                     content: [{
                         type: 'text',
                         text: `Service: ${service.name}
 Port: ${service.port}
-Status: ${status.running ? 'RUNNING' : 'STOPPED'}
+Status: ${readiness.state.toUpperCase()}${readiness.detail ? ` (${readiness.detail})` : ''}
 Type: ${service.type}
 Path: ${service.path}
-Start Command: ${service.startCmd}
+${container ? `Runtime: ${service.runtime} (${service.runtime === 'docker' ? service.container.image : `compose service ${service.compose.service}`})` : `Start Command: ${service.startCmd}`}
 GitHub: ${service.github || 'N/A'}
-${status.running ? `URL: http://localhost:${service.port}` : ''}`
-                    }]
+Git: ${formatGit(repo)}
+Managed: ${ownership}
+${owner ? `Listener: ${owner.ownership === 'impostor' ? '⚠️ IMPOSTOR - ' : ''}${owner.detail}\n` : ''}Restart Policy: ${restarts.policy}${restarts.crashLooped ? ' (CRASH LOOP - start manually to retry)' : ''}
+Restarts: ${restarts.restarts}
+Last Exit: ${lastExit}
+Environment:
+${environment}
+${status.running ? `URL: ${proxyUrl ? `${proxyUrl} (direct: http://localhost:${service.port})` : `http://localhost:${service.port}`}` : proxyUrl ? `Proxy URL: ${proxyUrl}` : ''}`
+                    }],
+                    structuredContent: {
+                        ...service,
+                        env: env.mask(service.env),
+                        running: status.running,
+                        url: status.running ? `http://localhost:${service.port}` : null,
+                        proxyUrl,
+                        state: readiness.state,
+                        stateDetail: readiness.detail,
+                        managed: managed || null,
+                        listener: owner ? { ownership: owner.ownership, detail: owner.detail, cwd: owner.cwd } : null,
+                        supervisor: restarts,
+                        git: repo,
+                        containerState: container,
+                        environment: vars
+                    }
+                };
+            }
+
+            case 'get_service_logs': {
+                const lines = await engine.tailLogs(args.port, args.lines || 50);
+                const service = loadServices(profiles.ALL).find(s => s.port === args.port);
+                const label = service ? `${service.name} [:${args.port}]` : `port ${args.port}`;
+
+                return {
+                    content: [{
+                        type: 'text',
+                        text: lines.length
+                            ? `Last ${lines.length} log lines for ${label}:\n\n${formatLogLines(lines)}`
+                            : `No logs captured for ${label}`
+                    }],
+                    structuredContent: { port: args.port, name: service ? service.name : null, lines }
+                };
+            }
+
+            case 'start_group': {
+                const result = await engine.startGroup(args.name, mcpContext(args.profile));
+                return {
+                    content: [{
+                        type: 'text',
+                        text: `${result.success ? '✅' : '❌'} Group ${args.name}${result.success ? ' started' : ` failed: ${result.error}`}\n\n${formatGroupResults(result.results)}`
+                    }],
+                    structuredContent: result,
+                    isError: !result.success
+                };
+            }
+
+            case 'stop_group': {
+                const result = await engine.stopGroup(args.name, mcpContext(args.profile));
+                return {
+                    content: [{
+                        type: 'text',
+                        text: `${result.success ? '✅' : '❌'} Group ${args.name} ${result.success ? 'stopped' : 'partially stopped'}\n\n${formatGroupResults(result.results)}`
+                    }],
+                    structuredContent: result
+                };
+            }
+
+            case 'discover_projects': {
+                const { roots, candidates } = scanProjects(args);
+                const fresh = candidates.filter(c => c.status === 'new');
+                const known = candidates.filter(c => c.status === 'configured');
+                const blocked = candidates.filter(c => c.status === 'conflict');
+
+                return {
+                    content: [{
+                        type: 'text',
+                        text: candidates.length === 0
+                            ? `No projects found under ${roots.join(', ')}`
+                            : `🔍 Scanned ${roots.join(', ')}\n\nNew (${fresh.length}):\n${fresh.map(formatCandidate).join('\n') || '  (none)'}` +
+                              `${blocked.length ? `\n\nPort conflicts, not importable (${blocked.length}):\n${blocked.map(formatCandidate).join('\n')}` : ''}` +
+                              `${known.length ? `\n\nAlready configured (${known.length}):\n${known.map(formatCandidate).join('\n')}` : ''}`
+                    }],
+                    structuredContent: { roots, candidates }
+                };
+            }
+
+            case 'import_projects': {
+                const { candidates } = scanProjects(args);
+                const selected = candidates.filter(c => c.status === 'new' &&
+                    args.select.some(sel => sel === c.name || sel === c.path || expandPath(sel) === expandPath(c.path)));
+                if (selected.length === 0) {
+                    return {
+                        content: [{ type: 'text', text: `❌ None of ${args.select.join(', ')} matched a new candidate. Run discover_projects to see them.` }],
+                        isError: true
+                    };
+                }
+
+                try {
+                    const added = await servicesConfig.addServices(selected.map(discovery.toService));
+                    engine.recordAction(mcpContext(), 'services-import', null, { services: added.map(s => `${s.name} [:${s.port}]`) }, { success: true });
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: `✅ Added ${added.length} service(s) to services.json:\n${added.map(s => `• ${s.name} [:${s.port}] → ${discovery.describeStart(s)}`).join('\n')}`
+                        }],
+                        structuredContent: { added }
+                    };
+                } catch (err) {
+                    engine.recordAction(mcpContext(), 'services-import', null, { services: selected.map(c => c.name) }, { error: err.message });
+                    // Name the candidate instead of its index in the batch
+                    const label = field => field.replace(/^services\[(\d+)\]\./, (_, i) => `${selected[i].name}: `);
+                    const details = err.errors ? err.errors.map(e => `• ${label(e.field)} ${e.message}`).join('\n') : err.message;
+                    return {
+                        content: [{ type: 'text', text: `❌ Nothing imported:\n${details}` }],
+                        structuredContent: { added: [], error: err.message, errors: err.errors || [] },
+                        isError: true
+                    };
+                }
+            }
+
+            case 'list_listening_ports': {
+                const { live } = await state.prune();
+                const include = args.include || 'all';
+                const all = await listeners.list(loadServices(profiles.ALL), live);
+                const shown = all.filter(l => include === 'all' ||
+                    (include === 'unconfigured' && !l.service) ||
+                    (include === 'conflicts' && l.ownership === 'impostor'));
+                const label = l => !l.service ? 'not configured'
+                    : l.ownership === 'impostor' ? `⚠️ IMPOSTOR on ${l.service.name}` : `${l.service.name} (${l.ownership})`;
+
+                return {
+                    content: [{
+                        type: 'text',
+                        text: shown.length === 0
+                            ? `No listening ports${include === 'all' ? '' : ` (${include})`}`
+                            : `🔌 Listening ports${include === 'all' ? '' : ` (${include})`}:\n\n` + shown.map(l =>
+                                `• :${l.port} ${label(l)}\n    pid ${l.pid || '?'} ${l.command || ''}\n    cwd ${l.cwd || 'unknown'} · ${l.addresses.join(', ')}`
+                            ).join('\n')
+                    }],
+                    structuredContent: { include, listeners: shown }
+                };
+            }
+
+            case 'get_service_metrics': {
+                const service = loadServices(args.profile).find(s => s.port === args.port);
+                if (!service) {
+                    return { content: [{ type: 'text', text: `No service configured for port ${args.port}` }] };
+                }
+                const root = await metricsRoot(service);
+                if (!root) {
+                    return { content: [{ type: 'text', text: `${service.name} [:${args.port}] is not running` }] };
+                }
+
+                ensureMetricsSampler();
+                const now = await metrics.measureNow(root);
+                const recorded = metrics.get(args.port);
+                const samples = recorded ? recorded.history : [];
+                const trend = samples.length > 1
+                    ? `\n\nLast ${samples.length} samples (every ${metrics.DEFAULT_INTERVAL / 1000}s):\n` +
+                      `  CPU: avg ${(samples.reduce((sum, x) => sum + x.cpu, 0) / samples.length).toFixed(1)}%, peak ${Math.max(...samples.map(x => x.cpu))}%\n` +
+                      `  Memory: peak ${formatBytes(Math.max(...samples.map(x => x.rss)))}`
+                    : '\n\n(History builds up while this MCP server keeps sampling; ask again later for trends.)';
+
+                return {
+                    content: [{
+                        type: 'text',
+                        text: `📈 ${service.name} [:${args.port}]
+
+CPU: ${now.cpu}%
+Memory (RSS): ${formatBytes(now.rss)}
+Threads: ${now.threads === null ? 'n/a' : now.threads}
+Open files: ${now.openFiles === null ? 'n/a' : now.openFiles}
+Processes: ${now.processes}${trend}`
+                    }],
+                    structuredContent: { port: args.port, name: service.name, now, history: samples }
+                };
+            }
+
+            case 'open_service': {
+                const service = loadServices(args.profile).find(s => s.port === args.port);
+                if (!service) {
+                    return { content: [{ type: 'text', text: `No service configured for port ${args.port}` }] };
+                }
+                const result = await engine.openService(service, args.target || 'editor', mcpContext(args.profile));
+                return {
+                    content: [{
+                        type: 'text',
+                        text: result.success
+                            ? `✅ Opened ${service.name} in the ${result.target === 'fileManager' ? 'file manager' : result.target} (${result.command.join(' ')})`
+                            : `❌ Could not open ${service.name}: ${result.error}`
+                    }],
+                    structuredContent: result,
+                    isError: !result.success
+                };
+            }
+
+            case 'probe_endpoints': {
+                const service = loadServices(args.profile).find(s => s.port === args.port);
+                if (!service) {
+                    return { content: [{ type: 'text', text: `No service configured for port ${args.port}` }] };
+                }
+                if (!service.endpoints || service.endpoints.length === 0) {
+                    return { content: [{ type: 'text', text: `${service.name} [:${args.port}] has no endpoints configured` }] };
+                }
+                if (!(await ports.checkPort(args.port)).running) {
+                    return {
+                        content: [{ type: 'text', text: `❌ ${service.name} [:${args.port}] is not running` }],
+                        isError: true
+                    };
+                }
+
+                const result = await probe.probeService(service, { paths: args.paths });
+                const lines = result.results.map(r =>
+                    `${r.ok ? '✅' : '❌'} ${r.path} → ${r.status === null ? 'no response' : r.status} ${r.latency}ms` +
+                    `${r.contentType ? ` ${r.contentType}` : ''}${r.error ? `\n    ${r.error}` : ''}`
+                );
+                return {
+                    content: [{
+                        type: 'text',
+                        text: result.results.length === 0
+                            ? `None of ${args.paths.join(', ')} is an endpoint of ${service.name}`
+                            : `🔎 ${service.name} [:${args.port}]: ${result.passed}/${result.results.length} endpoints OK\n\n${lines.join('\n')}`
+                    }],
+                    structuredContent: result,
+                    isError: !result.ok
+                };
+            }
+
+            case 'list_tasks': {
+                const service = loadServices(args.profile).find(s => s.port === args.port);
+                if (!service) {
+                    return { content: [{ type: 'text', text: `No service configured for port ${args.port}` }] };
+                }
+                const list = tasks.list(service);
+                const history = tasks.history(args.port, 10);
+                const lastRun = name => history.find(r => r.task === name);
+                return {
+                    content: [{
+                        type: 'text',
+                        text: list.length === 0
+                            ? `${service.name} [:${args.port}] has no tasks. Add a "tasks" map to its services.json entry.`
+                            : `🧰 Tasks of ${service.name} [:${args.port}]:\n\n${list.map(t => {
+                                const last = lastRun(t.name);
+                                return `• ${t.name}: ${t.cmd}${t.description ? `\n    ${t.description}` : ''}` +
+                                    (t.running ? '\n    running now'
+                                        : last ? `\n    last run ${last.finishedAt}: ${last.success ? '✅' : '❌'} ${last.success ? `exit 0 in ${last.duration}ms` : last.error}` : '');
+                            }).join('\n')}`
+                    }],
+                    structuredContent: {
+                        port: args.port,
+                        name: service.name,
+                        tasks: list,
+                        history: history.map(({ output, ...run }) => run)
+                    }
+                };
+            }
+
+            case 'run_task': {
+                const service = loadServices(args.profile).find(s => s.port === args.port);
+                if (!service) {
+                    return { content: [{ type: 'text', text: `No service configured for port ${args.port}` }] };
+                }
+                const started = engine.runTask(service, args.task, mcpContext(args.profile));
+
+                // Long runs (test suites) report progress so clients can
+                // keep waiting past their request timeout
+                const progressToken = request.params._meta?.progressToken;
+                const progress = progressToken === undefined ? null : setInterval(() => {
+                    extra.sendNotification({
+                        method: 'notifications/progress',
+                        params: { progressToken, progress: Date.now() - Date.parse(started.run.startedAt), message: `${args.task} running` }
+                    }).catch(() => {});
+                }, TASK_PROGRESS_INTERVAL);
+                const run = await started.done.finally(() => clearInterval(progress));
+
+                const lines = run.output.split('\n');
+                const shown = lines.slice(-TASK_OUTPUT_LINES).join('\n').trimEnd();
+                return {
+                    content: [{
+                        type: 'text',
+                        text: `${run.success ? '✅' : '❌'} ${service.name} [:${args.port}] ${args.task} ` +
+                            `${run.success ? 'succeeded' : `failed: ${run.error}`} in ${(run.duration / 1000).toFixed(1)}s\n` +
+                            `$ ${run.command}\n\n${shown || '(no output)'}` +
+                            `${lines.length > TASK_OUTPUT_LINES ? `\n\n(last ${TASK_OUTPUT_LINES} of ${lines.length} lines)` : ''}`
+                    }],
+                    structuredContent: run,
+                    isError: !run.success
                 };
             }
 
             case 'quick_status': {
-                const services = await getAllServicesStatus();
+                const services = await engine.getAllStatus(args?.profile);
                 const running = services.filter(s => s.running);
                 const stopped = services.filter(s => !s.running);
 
@@ -341,13 +955,33 @@ ${status.running ? `URL: http://localhost:${service.port}` : ''}`
                         text: `📊 Local Services Status
 
 🟢 Running: ${running.length}
-${running.map(s => `   • ${s.name} → http://localhost:${s.port}`).join('\n') || '   (none)'}
+${running.map(s => `   ${STATE_ICONS[s.state]} ${s.name} → ${s.proxyUrl || s.url} (${s.state})`).join('\n') || '   (none)'}
 
 ⚫ Stopped: ${stopped.length}
 ${stopped.slice(0, 5).map(s => `   • ${s.name} [:${s.port}]`).join('\n')}${stopped.length > 5 ? `\n   ... and ${stopped.length - 5} more` : ''}
 
 Total: ${services.length} services configured`
-                    }]
+                    }],
+                    structuredContent: {
+                        running: running.map(s => ({ name: s.name, port: s.port, state: s.state, url: s.url, proxyUrl: s.proxyUrl })),
+                        stopped: stopped.map(s => ({ name: s.name, port: s.port, state: s.state })),
+                        total: services.length
+                    }
+                };
+            }
+
+            case 'list_profiles': {
+                const list = profiles.list(servicesConfig.loadConfig());
+                return {
+                    content: [{
+                        type: 'text',
+                        text: list.length === 0
+                            ? 'No profiles defined; every tool works on the plain service list'
+                            : `📁 Profiles:\n\n${list.map(p =>
+                                `• ${p.name}${p.default ? ' (default)' : ''} - ${p.services} service(s)${p.description ? `\n    ${p.description}` : ''}`
+                            ).join('\n')}`
+                    }],
+                    structuredContent: { profiles: list }
                 };
             }
 
@@ -365,10 +999,291 @@ Total: ${services.length} services configured`
     }
 });
 
+const LIST_URI = 'dashboard://services';
+const RESOURCE_KINDS = {
+    config: { mimeType: 'application/json', description: 'config entry (profile overrides applied, env masked)' },
+    status: { mimeType: 'application/json', description: 'live state, health detail, port ownership and restarts' },
+    logs: { mimeType: 'text/plain', description: 'recent stdout/stderr' }
+};
+const RESOURCE_LOG_LINES = 200;
+const STATUS_INTERVAL = 2000;
+
+function resourceUri(port, kind) {
+    return `${LIST_URI}/${port}/${kind}`;
+}
+
+// Read one resource as { uri, mimeType, text }
+async function resourceContents(uri) {
+    if (uri === LIST_URI) {
+        const services = await engine.getAllStatus();
+        return { uri, mimeType: 'application/json', text: JSON.stringify({ profile: loadConfig().profile || null, services }, null, 2) };
+    }
+
+    // Any profile's port resolves, so subscriptions survive switching
+    const match = uri.match(/^dashboard:\/\/services\/(\d+)\/(config|status|logs)$/);
+    const service = match && loadServices(profiles.ALL).find(s => s.port === Number(match[1]));
+    if (!service) {
+        throw new McpError(ErrorCode.InvalidParams, `Unknown resource: ${uri}`);
+    }
+    const kind = match[2];
+    const { mimeType } = RESOURCE_KINDS[kind];
+    if (kind === 'config') {
+        return { uri, mimeType, text: JSON.stringify({ ...service, env: env.mask(service.env) }, null, 2) };
+    }
+    if (kind === 'status') {
+        const status = (await engine.getAllStatus(profiles.ALL)).find(s => s.port === service.port);
+        return { uri, mimeType, text: JSON.stringify(status, null, 2) };
+    }
+    const lines = await engine.tailLogs(service.port, RESOURCE_LOG_LINES);
+    return { uri, mimeType, text: lines.length ? formatLogLines(lines) : '(no output captured)' };
+}
+
+server.setRequestHandler(ListResourcesRequestSchema, async () => {
+    const services = loadServices();
+    return {
+        resources: [
+            {
+                uri: LIST_URI,
+                name: 'Services',
+                description: 'Every configured service with its live status',
+                mimeType: 'application/json'
+            },
+            ...services.flatMap(s => Object.entries(RESOURCE_KINDS).map(([kind, { mimeType, description }]) => ({
+                uri: resourceUri(s.port, kind),
+                name: `${s.name} ${kind}`,
+                description: `${s.name} [:${s.port}] ${description}`,
+                mimeType
+            })))
+        ]
+    };
+});
+
+server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({
+    resourceTemplates: Object.entries(RESOURCE_KINDS).map(([kind, { mimeType, description }]) => ({
+        uriTemplate: `${LIST_URI}/{port}/${kind}`,
+        name: `Service ${kind}`,
+        description: `A service's ${description}, by port`,
+        mimeType
+    }))
+}));
+
+server.setRequestHandler(ReadResourceRequestSchema, async (request) => ({
+    contents: [await resourceContents(request.params.uri)]
+}));
+
+// Subscribed resource URIs. Statuses are only polled while there are any.
+const subscriptions = new Set();
+const lastStatus = new Map();
+let statusTimer = null;
+let statusCheckRunning = false;
+
+function notifyUpdated(uri) {
+    if (subscriptions.has(uri)) {
+        server.sendResourceUpdated({ uri }).catch(() => {});
+    }
+}
+
+// Compare statuses with the last check and notify subscribers of changes.
+// The first check only records them.
+async function checkStatusChanges() {
+    if (statusCheckRunning) return;
+    statusCheckRunning = true;
+    try {
+        let changed = false;
+        (await engine.getAllStatus(profiles.ALL)).forEach(s => {
+            const key = engine.statusKey(s);
+            const previous = lastStatus.get(s.port);
+            lastStatus.set(s.port, key);
+            if (previous === undefined || previous === key) return;
+            changed = true;
+            notifyUpdated(resourceUri(s.port, 'status'));
+        });
+        if (changed) notifyUpdated(LIST_URI);
+    } catch (err) {
+        console.error(`Status check failed: ${err.message}`);
+    } finally {
+        statusCheckRunning = false;
+    }
+}
+
+server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+    subscriptions.add(request.params.uri);
+    if (!statusTimer) {
+        statusTimer = setInterval(checkStatusChanges, STATUS_INTERVAL);
+        statusTimer.unref();
+        checkStatusChanges();
+    }
+    return {};
+});
+
+server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+    subscriptions.delete(request.params.uri);
+    if (subscriptions.size === 0 && statusTimer) {
+        clearInterval(statusTimer);
+        statusTimer = null;
+        lastStatus.clear();
+    }
+    return {};
+});
+
+// services.json edits change the resource list and every config resource.
+// Watch the directory because atomic saves replace the file.
+let configChangeTimer = null;
+function watchConfig() {
+    fs.watch(path.dirname(servicesConfig.CONFIG_PATH), (type, filename) => {
+        if (filename !== path.basename(servicesConfig.CONFIG_PATH)) return;
+        clearTimeout(configChangeTimer);
+        configChangeTimer = setTimeout(() => {
+            server.sendResourceListChanged().catch(() => {});
+            subscriptions.forEach(uri => {
+                if (uri.endsWith('/config')) notifyUpdated(uri);
+            });
+        }, 200);
+    }).unref();
+}
+
+const SERVICE_PROMPT_ARGS = [
+    { name: 'service', description: 'Service name or port', required: true },
+    { name: 'profile', description: 'Profile (workspace) from services.json; the default profile if omitted', required: false }
+];
+
+const PROMPTS = [
+    {
+        name: 'diagnose_service',
+        description: 'Work out why a service won\'t start or isn\'t healthy, from its config, live status, recent output and recent actions',
+        arguments: SERVICE_PROMPT_ARGS
+    },
+    {
+        name: 'verify_service',
+        description: 'Check that a running service still works after a change: status, a fresh probe of its endpoints and recent output',
+        arguments: SERVICE_PROMPT_ARGS
+    },
+    {
+        name: 'status_report',
+        description: 'Summarize every service\'s state and the control actions that failed in the last day',
+        arguments: [SERVICE_PROMPT_ARGS[1]]
+    }
+];
+
+// A prompt message embedding a resource
+async function resourceMessage(uri) {
+    return { role: 'user', content: { type: 'resource', resource: await resourceContents(uri) } };
+}
+
+function textMessage(text) {
+    return { role: 'user', content: { type: 'text', text } };
+}
+
+// One line per audit entry
+function formatAuditEntries(entries) {
+    return entries.map(e => {
+        const target = !e.target ? '' : e.target.group ? ` group ${e.target.group}` : ` ${e.target.name || ''} [:${e.target.port}]`;
+        return `${e.time} ${e.source} ${e.action}${target}: ${e.result.success ? 'ok' : 'FAILED'}${e.result.detail ? ` - ${e.result.detail}` : ''}`;
+    }).join('\n');
+}
+
+// The service a prompt's arguments name
+function promptService(args) {
+    if (!args.service) {
+        throw new McpError(ErrorCode.InvalidParams, 'The service argument is required');
+    }
+    checkProfile(args.profile);
+    const service = engine.findService(args.service, args.profile);
+    if (!service) {
+        throw new McpError(ErrorCode.InvalidParams, `No service matches "${args.service}"`);
+    }
+    return service;
+}
+
+async function buildPrompt(name, args) {
+    switch (name) {
+        case 'diagnose_service': {
+            const service = promptService(args);
+            const actions = audit.query({ port: service.port, limit: 10 });
+            return {
+                description: `Diagnose ${service.name}`,
+                messages: [
+                    textMessage(`${service.name} (port ${service.port}) won't start or isn't healthy. ` +
+                        'Below are its config entry, its live status and its recent output. Work out the most likely cause ' +
+                        '(bad start command or path, missing env, a port held by another process, a failing health check, ' +
+                        'a crash on startup) and propose a fix. Use the dashboard tools to confirm, e.g. start_service and ' +
+                        'get_service_logs, or list_listening_ports for port conflicts.'),
+                    await resourceMessage(resourceUri(service.port, 'config')),
+                    await resourceMessage(resourceUri(service.port, 'status')),
+                    await resourceMessage(resourceUri(service.port, 'logs')),
+                    textMessage(actions.length
+                        ? `Recent actions on this service, newest first:\n${formatAuditEntries(actions)}`
+                        : 'No actions on this service in the audit log.')
+                ]
+            };
+        }
+
+        case 'verify_service': {
+            const service = promptService(args);
+            const running = (await ports.checkPort(service.port)).running;
+            let probeText;
+            if (!running) {
+                probeText = `${service.name} is not running, so its endpoints were not probed.`;
+            } else if (!service.endpoints || service.endpoints.length === 0) {
+                probeText = `${service.name} has no endpoints configured to probe.`;
+            } else {
+                const result = await probe.probeService(service);
+                probeText = `Endpoint probe just now (${result.passed}/${result.results.length} OK):\n${JSON.stringify(result.results, null, 2)}`;
+            }
+            return {
+                description: `Verify ${service.name}`,
+                messages: [
+                    textMessage(`Check whether ${service.name} (port ${service.port}) still works after the latest change. ` +
+                        'Below are its live status, a probe of its endpoints and its recent output. Point out failing ' +
+                        'endpoints, errors or stack traces in the output, and restarts, and say whether the change looks safe.'),
+                    await resourceMessage(resourceUri(service.port, 'status')),
+                    textMessage(probeText),
+                    await resourceMessage(resourceUri(service.port, 'logs'))
+                ]
+            };
+        }
+
+        case 'status_report': {
+            checkProfile(args.profile);
+            const services = await engine.getAllStatus(args.profile);
+            const since = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+            const failures = audit.query({ success: false, since, limit: 20 });
+            return {
+                description: 'Local services status report',
+                messages: [
+                    textMessage('Give a short status report of my local development services: what is running, ' +
+                        'what is down or unhealthy and why, and anything that needs attention (crash loops, ports held ' +
+                        'by other processes, failed actions).'),
+                    textMessage(`Services${args.profile ? ` in profile ${args.profile}` : ''}:\n${JSON.stringify(services, null, 2)}`),
+                    textMessage(failures.length
+                        ? `Failed actions in the last 24 hours, newest first:\n${formatAuditEntries(failures)}`
+                        : 'No failed actions in the last 24 hours.')
+                ]
+            };
+        }
+
+        default:
+            throw new McpError(ErrorCode.InvalidParams, `Unknown prompt: ${name}`);
+    }
+}
+
+server.setRequestHandler(ListPromptsRequestSchema, async () => ({ prompts: PROMPTS }));
+
+server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+    const { name, arguments: args } = request.params;
+    try {
+        return await buildPrompt(name, args || {});
+    } catch (err) {
+        if (err instanceof McpError) throw err;
+        throw new McpError(ErrorCode.InvalidParams, err.message);
+    }
+});
+
 // Start server
 async function main() {
     const transport = new StdioServerTransport();
     await server.connect(transport);
+    watchConfig();
     console.error('Localhost Dashboard MCP Server running');
 }
 
@@ -1,108 +1,165 @@
 const http = require('http');
 const fs = require('fs');
 const path = require('path');
-const { spawn, exec } = require('child_process');
-const os = require('os');
-
-const PORT = 9999;
-const HOME = os.homedir();
-
-// Track running processes
-const runningProcesses = new Map();
-
-// Load services config
-function loadServices() {
-    const configPath = path.join(__dirname, 'services.json');
-    return JSON.parse(fs.readFileSync(configPath, 'utf8')).services;
+const logs = require('./lib/logs');
+const health = require('./lib/health');
+const groups = require('./lib/groups');
+const ports = require('./lib/ports');
+const state = require('./lib/state');
+const events = require('./lib/events');
+const servicesConfig = require('./lib/config');
+const env = require('./lib/env');
+const discovery = require('./lib/discovery');
+const listeners = require('./lib/listeners');
+const metrics = require('./lib/metrics');
+const probe = require('./lib/probe');
+const tasks = require('./lib/tasks');
+const auth = require('./lib/auth');
+const audit = require('./lib/audit');
+const engine = require('./lib/engine');
+const profiles = require('./lib/profiles');
+const proxy = require('./lib/proxy');
+const launcher = require('./lib/launcher');
+
+const { loadConfig, loadServices, expandPath } = engine;
+
+const PORT = servicesConfig.DASHBOARD_PORT;
+const STATUS_INTERVAL = 2000;
+
+// Who is acting, for the engine: output is captured in-process so the
+// dashboard can stream it
+function webContext(req, profile) {
+    return { source: 'web', client: req.socket.remoteAddress, profile, capture: true };
 }
 
-// Expand ~ to home directory
-function expandPath(p) {
-    return p.replace(/^~/, HOME);
+// Whether a ?profile= value names a profile. An unreadable services.json
+// is left for the route to report.
+function profileExists(name) {
+    try {
+        return profiles.exists(servicesConfig.loadConfig(), name);
+    } catch {
+        return true;
+    }
 }
 
-// Check if a port is in use
-function checkPort(port) {
-    return new Promise((resolve) => {
-        exec(`lsof -i :${port} -t`, (error, stdout) => {
-            resolve(stdout.trim() ? { running: true, pid: stdout.trim().split('\n')[0] } : { running: false });
-        });
-    });
+// The services.json entry behind `port` as seen in `profile`; config edits
+// always apply to these base entries
+function baseEntry(port, profile) {
+    return profiles.baseService(servicesConfig.loadConfig(), profile, port);
 }
 
-// Start a service
-function startService(service) {
-    return new Promise((resolve, reject) => {
-        const cwd = expandPath(service.path);
-
-        // Check if directory exists
-        if (!fs.existsSync(cwd)) {
-            reject(new Error(`Directory not found: ${cwd}`));
-            return;
-        }
-
-        const [cmd, ...args] = service.startCmd.split(' ');
-
-        console.log(`Starting ${service.name} in ${cwd}: ${service.startCmd}`);
-
-        const child = spawn(cmd, args, {
-            cwd,
-            shell: true,
-            detached: true,
-            stdio: ['ignore', 'pipe', 'pipe'],
-            env: { ...process.env, PORT: service.port.toString() }
+// Last published snapshot of each service, to push only real changes
+const lastStatus = new Map();
+let statusCheckRunning = false;
+let statusCheckTimer = null;
+let configChangeTimer = null;
+
+// Compare current statuses with the last push and publish what changed.
+// Only runs while someone is listening on /api/events.
+async function publishStatusChanges() {
+    if (statusCheckRunning || events.subscriberCount() === 0) return;
+    statusCheckRunning = true;
+    try {
+        // Every port any profile uses; clients pick out their own
+        const statuses = await engine.getAllStatus(profiles.ALL);
+        statuses.forEach(s => {
+            const key = engine.statusKey(s);
+            if (lastStatus.get(s.port) !== key) {
+                lastStatus.set(s.port, key);
+                events.publish('service', s);
+            }
         });
+    } catch (err) {
+        console.error(`Status check failed: ${err.message}`);
+    } finally {
+        statusCheckRunning = false;
+    }
+}
 
-        child.unref();
+// Check soon, coalescing bursts of triggers
+function scheduleStatusCheck(delay = 100) {
+    if (statusCheckTimer) return;
+    statusCheckTimer = setTimeout(() => {
+        statusCheckTimer = null;
+        publishStatusChanges();
+    }, delay);
+}
 
-        runningProcesses.set(service.port, {
-            pid: child.pid,
-            name: service.name,
-            startedAt: new Date().toISOString()
-        });
+setInterval(publishStatusChanges, STATUS_INTERVAL);
+health.onTransition(() => scheduleStatusCheck());
+
+// services.json edits push a config event; state.json changes (e.g. the
+// MCP server started something) trigger a status check. Watch the
+// directory because atomic saves replace the files.
+fs.watch(__dirname, (type, filename) => {
+    if (filename === 'services.json') {
+        clearTimeout(configChangeTimer);
+        configChangeTimer = setTimeout(() => events.publish('config', {}), 200);
+    } else if (filename === 'state.json') {
+        scheduleStatusCheck();
+    }
+}).on('error', (err) => {
+    // The periodic status check keeps running; only live config events stop
+    console.error(`Stopped watching ${__dirname}: ${err.message}`);
+});
 
-        // Give it a moment to start
-        setTimeout(() => {
-            resolve({ success: true, pid: child.pid });
-        }, 1000);
+// CORS headers. Access-Control-Allow-Origin is set per request, and only
+// for origins auth.check accepts.
+const corsHeaders = {
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, X-Dashboard-Token, Authorization',
+    'Vary': 'Origin'
+};
 
-        child.on('error', (err) => {
-            reject(err);
-        });
-    });
+function sendJson(res, status, body) {
+    res.writeHead(status, { ...corsHeaders, 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
 }
 
-// Stop a service by port
-function stopService(port) {
-    return new Promise((resolve) => {
-        exec(`lsof -i :${port} -t | xargs kill -9 2>/dev/null`, (error) => {
-            runningProcesses.delete(port);
-            resolve({ success: true });
+// Read and parse a JSON request body (an empty body reads as {})
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('error', reject);
+        req.on('end', () => {
+            try {
+                resolve(body.trim() === '' ? {} : JSON.parse(body));
+            } catch {
+                reject(new servicesConfig.ValidationError([{ field: 'body', message: 'must be valid JSON' }]));
+            }
         });
     });
 }
 
-// Get all services status
-async function getAllStatus() {
-    const services = loadServices();
-    const statuses = await Promise.all(
-        services.map(async (s) => {
-            const status = await checkPort(s.port);
-            return { ...s, ...status };
-        })
-    );
-    return statuses;
+// Record an action taken through the HTTP API in the audit log
+function auditWeb(req, action, target, params, result) {
+    engine.recordAction(webContext(req), action, target, params, result);
 }
 
-// CORS headers
-const corsHeaders = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type'
-};
+// Map a services.json update failure to a response: 400 for bad input,
+// 409 for clashes with other entries, 500 for anything else
+function sendConfigError(res, err) {
+    if (err instanceof servicesConfig.ValidationError) {
+        sendJson(res, err.conflict ? 409 : 400, { error: err.message, errors: err.errors });
+    } else {
+        sendJson(res, 500, { error: err.message });
+    }
+}
 
 // Request handler
-const server = http.createServer(async (req, res) => {
+async function handleRequest(req, res) {
+    // Foreign Host/Origin headers get 403, mutating requests without the
+    // token 401. Our own origins are echoed so our pages can read the
+    // error; foreign ones never are, not even on the 403.
+    const origin = req.headers.origin;
+    const rejection = auth.check(req, PORT);
+    if (origin && auth.isAllowedOrigin(origin, PORT)) res.setHeader('Access-Control-Allow-Origin', origin);
+    if (rejection) {
+        sendJson(res, rejection.status, { error: rejection.error, status: rejection.status });
+        return;
+    }
+
     // Handle CORS preflight
     if (req.method === 'OPTIONS') {
         res.writeHead(204, corsHeaders);
@@ -112,40 +169,105 @@ const server = http.createServer(async (req, res) => {
 
     const url = new URL(req.url, `http://localhost:${PORT}`);
 
-    // Serve static files
+    // ?profile= selects the services.json profile an API call works on
+    const profile = url.searchParams.get('profile') || undefined;
+    if (profile && url.pathname.startsWith('/api/') && !profileExists(profile)) {
+        sendJson(res, 404, { error: `Profile "${profile}" not found` });
+        return;
+    }
+
+    // Serve static files. Local clients get the token baked in; anyone else
+    // (with DASHBOARD_HOST widened) has to paste it.
     if (req.method === 'GET' && (url.pathname === '/' || url.pathname === '/index.html')) {
         const html = fs.readFileSync(path.join(__dirname, 'index.html'), 'utf8');
-        res.writeHead(200, { ...corsHeaders, 'Content-Type': 'text/html' });
-        res.end(html);
+        res.writeHead(200, { ...corsHeaders, 'Content-Type': 'text/html', 'Cache-Control': 'no-store' });
+        res.end(auth.isLoopback(req.socket.remoteAddress) ? auth.injectToken(html) : html);
         return;
     }
 
     // API: Get all services with status
     if (req.method === 'GET' && url.pathname === '/api/services') {
         try {
-            const statuses = await getAllStatus();
+            const statuses = await engine.getAllStatus(profile);
             res.writeHead(200, { ...corsHeaders, 'Content-Type': 'application/json' });
             res.end(JSON.stringify(statuses));
         } catch (err) {
-            res.writeHead(500, { ...corsHeaders, 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ error: err.message }));
+            sendConfigError(res, err);
         }
         return;
     }
 
+    // API: Event stream (?logs=1 to include log lines)
+    if (req.method === 'GET' && url.pathname === '/api/events') {
+        res.writeHead(200, {
+            ...corsHeaders,
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive'
+        });
+        res.write('retry: 3000\n\n');
+
+        const unsubscribe = events.subscribe(event => res.write(events.toSSE(event)));
+        const unfollow = url.searchParams.get('logs') === '1'
+            ? logs.onLine(line => res.write(events.toSSE({ type: 'log', data: line })))
+            : () => {};
+        const heartbeat = setInterval(() => res.write(': ping\n\n'), 25000);
+
+        // New subscribers get a full round of snapshots
+        lastStatus.clear();
+        scheduleStatusCheck(0);
+
+        req.on('close', () => {
+            unsubscribe();
+            unfollow();
+            clearInterval(heartbeat);
+        });
+        return;
+    }
+
     // API: Check single port status
     if (req.method === 'GET' && url.pathname.startsWith('/api/status/')) {
         const port = parseInt(url.pathname.split('/')[3]);
-        const status = await checkPort(port);
+        const status = await ports.checkPort(port);
+        const service = loadServices(profile).find(s => s.port === port);
+        if (service) {
+            const readiness = await health.resolveState(service, status, { cwd: expandPath(service.path) });
+            status.state = readiness.state;
+            status.stateDetail = readiness.detail;
+        }
         res.writeHead(200, { ...corsHeaders, 'Content-Type': 'application/json' });
         res.end(JSON.stringify(status));
         return;
     }
 
+    // API: Service logs (?lines=N, ?follow=1 streams new lines as SSE)
+    if (req.method === 'GET' && url.pathname.startsWith('/api/logs/')) {
+        const port = parseInt(url.pathname.split('/')[3]);
+        const count = parseInt(url.searchParams.get('lines')) || 200;
+        const lines = await engine.tailLogs(port, count);
+
+        if (url.searchParams.get('follow') !== '1') {
+            res.writeHead(200, { ...corsHeaders, 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ port, lines }));
+            return;
+        }
+
+        res.writeHead(200, {
+            ...corsHeaders,
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive'
+        });
+        lines.forEach(line => res.write(`data: ${JSON.stringify(line)}\n\n`));
+        const unsubscribe = engine.followLogs(port, line => res.write(`data: ${JSON.stringify(line)}\n\n`));
+        req.on('close', unsubscribe);
+        return;
+    }
+
     // API: Start service
     if (req.method === 'POST' && url.pathname.startsWith('/api/start/')) {
         const port = parseInt(url.pathname.split('/')[3]);
-        const services = loadServices();
+        const services = loadServices(profile);
         const service = services.find(s => s.port === port);
 
         if (!service) {
@@ -154,103 +276,427 @@ const server = http.createServer(async (req, res) => {
             return;
         }
 
+        let body;
         try {
-            const result = await startService(service);
-            res.writeHead(200, { ...corsHeaders, 'Content-Type': 'application/json' });
-            res.end(JSON.stringify(result));
+            body = await readJsonBody(req);
         } catch (err) {
-            res.writeHead(500, { ...corsHeaders, 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ error: err.message }));
+            sendConfigError(res, err);
+            return;
+        }
+        if (body.env !== undefined && !env.isEnvMap(body.env)) {
+            sendJson(res, 400, { error: 'env must map variable names to strings, numbers or booleans' });
+            return;
         }
+
+        const result = await engine.startService(service, webContext(req, profile), { env: body.env });
+        events.publish('action', { action: 'start', port, name: service.name, result });
+        res.writeHead(result.success ? 200 : 500, { ...corsHeaders, 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(result));
         return;
     }
 
-    // API: Stop service
+    // API: Stop service (?force=1 to kill a port owner we didn't start,
+    // ?grace=ms to override the SIGTERM grace period)
     if (req.method === 'POST' && url.pathname.startsWith('/api/stop/')) {
         const port = parseInt(url.pathname.split('/')[3]);
-        const result = await stopService(port);
-        res.writeHead(200, { ...corsHeaders, 'Content-Type': 'application/json' });
+        const options = {
+            force: url.searchParams.get('force') === '1',
+            grace: parseInt(url.searchParams.get('grace')) || undefined
+        };
+        const result = await engine.stopService(port, webContext(req, profile), options);
+        events.publish('action', { action: 'stop', port, result });
+        res.writeHead(result.success ? 200 : result.refused ? 409 : 500, { ...corsHeaders, 'Content-Type': 'application/json' });
         res.end(JSON.stringify(result));
         return;
     }
 
-    // API: Add service
+    // API: Profiles, marking the default
+    if (req.method === 'GET' && url.pathname === '/api/profiles') {
+        try {
+            const config = servicesConfig.loadConfig();
+            sendJson(res, 200, { default: profiles.defaultName(config), profiles: profiles.list(config) });
+        } catch (err) {
+            sendJson(res, 500, { error: err.message });
+        }
+        return;
+    }
+
+    // API: List groups with their start order
+    if (req.method === 'GET' && url.pathname === '/api/groups') {
+        try {
+            const config = loadConfig(profile);
+            const list = (config.groups || []).map(g => {
+                const group = groups.getGroup(config, g.name);
+                return {
+                    name: group.name,
+                    description: group.description || '',
+                    services: group.members.map(s => s.port),
+                    startOrder: groups.startOrder(config.services, group.members).map(s => s.port)
+                };
+            });
+            res.writeHead(200, { ...corsHeaders, 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(list));
+        } catch (err) {
+            res.writeHead(500, { ...corsHeaders, 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: err.message }));
+        }
+        return;
+    }
+
+    // API: Start/stop a group
+    const groupMatch = req.method === 'POST' && url.pathname.match(/^\/api\/groups\/([^/]+)\/(start|stop)$/);
+    if (groupMatch) {
+        const name = decodeURIComponent(groupMatch[1]);
+        if (!(loadConfig(profile).groups || []).some(g => g.name === name)) {
+            res.writeHead(404, { ...corsHeaders, 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'Group not found' }));
+            return;
+        }
+
+        try {
+            const result = groupMatch[2] === 'start'
+                ? await engine.startGroup(name, webContext(req, profile))
+                : await engine.stopGroup(name, webContext(req, profile));
+            events.publish('action', { action: `group-${groupMatch[2]}`, group: name, result });
+            res.writeHead(result.success ? 200 : 500, { ...corsHeaders, 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(result));
+        } catch (err) {
+            // Bad references or a dependency cycle in services.json
+            res.writeHead(400, { ...corsHeaders, 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: err.message }));
+        }
+        return;
+    }
+
+    // API: A service's config entry as stored in services.json (the base
+    // entry, without the profile's overrides)
+    if (req.method === 'GET' && url.pathname.startsWith('/api/services/')) {
+        const service = baseEntry(parseInt(url.pathname.split('/')[3]), profile);
+        if (service) {
+            sendJson(res, 200, { ...service, env: env.mask(service.env) });
+        } else {
+            sendJson(res, 404, { error: 'Service not found' });
+        }
+        return;
+    }
+
+    // API: Add service (?from=<port> to copy an existing one)
     if (req.method === 'POST' && url.pathname === '/api/services') {
-        let body = '';
-        req.on('data', chunk => body += chunk);
-        req.on('end', () => {
-            try {
-                const newService = JSON.parse(body);
-                const configPath = path.join(__dirname, 'services.json');
-                const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
-                config.services.push(newService);
-                fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
-                res.writeHead(200, { ...corsHeaders, 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({ success: true }));
-            } catch (err) {
-                res.writeHead(500, { ...corsHeaders, 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({ error: err.message }));
-            }
-        });
+        const source = url.searchParams.get('from') ? baseEntry(parseInt(url.searchParams.get('from')), profile) : null;
+        if (url.searchParams.get('from') && !source) {
+            sendJson(res, 404, { error: 'Service not found' });
+            return;
+        }
+        const from = source ? source.port : null;
+
+        const action = from ? 'service-duplicate' : 'service-add';
+        let body = {};
+        try {
+            body = await readJsonBody(req);
+            const service = from
+                ? await servicesConfig.duplicateService(from, body)
+                : await servicesConfig.addService(body);
+            auditWeb(req, action, service.port, { ...body, from: from || undefined }, { success: true });
+            sendJson(res, 200, { success: true, service: { ...service, env: env.mask(service.env) } });
+        } catch (err) {
+            auditWeb(req, action, from || null, body, { error: err.message });
+            sendConfigError(res, err);
+        }
+        return;
+    }
+
+    // API: Edit service
+    if (req.method === 'PUT' && url.pathname.startsWith('/api/services/')) {
+        const base = baseEntry(parseInt(url.pathname.split('/')[3]), profile);
+        if (!base) {
+            sendJson(res, 404, { error: 'Service not found' });
+            return;
+        }
+        const port = base.port;
+
+        let changes = {};
+        try {
+            changes = await readJsonBody(req);
+            const service = await servicesConfig.updateService(port, changes);
+            auditWeb(req, 'service-update', port, changes, { success: true });
+            sendJson(res, 200, { success: true, service: { ...service, env: env.mask(service.env) } });
+        } catch (err) {
+            auditWeb(req, 'service-update', port, changes, { error: err.message });
+            sendConfigError(res, err);
+        }
         return;
     }
 
     // API: Remove service
     if (req.method === 'DELETE' && url.pathname.startsWith('/api/services/')) {
+        const base = baseEntry(parseInt(url.pathname.split('/')[3]), profile);
+        if (!base) {
+            sendJson(res, 404, { error: 'Service not found' });
+            return;
+        }
+
+        // Name the target before it leaves services.json
+        const target = { port: base.port, name: base.name };
+        try {
+            await servicesConfig.removeService(base.port);
+            auditWeb(req, 'service-remove', target, {}, { success: true });
+            sendJson(res, 200, { success: true });
+        } catch (err) {
+            auditWeb(req, 'service-remove', target, {}, { error: err.message });
+            sendConfigError(res, err);
+        }
+        return;
+    }
+
+    // API: CPU/memory samples for every running service
+    if (req.method === 'GET' && url.pathname === '/api/metrics') {
+        sendJson(res, 200, { interval: metrics.DEFAULT_INTERVAL, services: metrics.all() });
+        return;
+    }
+
+    // API: CPU/memory samples for one service
+    if (req.method === 'GET' && url.pathname.startsWith('/api/metrics/')) {
         const port = parseInt(url.pathname.split('/')[3]);
-        const configPath = path.join(__dirname, 'services.json');
-        const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
-        config.services = config.services.filter(s => s.port !== port);
-        fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
-        res.writeHead(200, { ...corsHeaders, 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ success: true }));
+        const service = loadServices(profile).find(s => s.port === port);
+        if (!service) {
+            sendJson(res, 404, { error: 'Service not found' });
+            return;
+        }
+        sendJson(res, 200, { port, name: service.name, ...(metrics.get(port) || { latest: null, history: [] }) });
         return;
     }
 
-    // API: Open in VS Code
-    if (req.method === 'POST' && url.pathname.startsWith('/api/code/')) {
+    // API: Last endpoint probe of every service probed
+    if (req.method === 'GET' && url.pathname === '/api/probe') {
+        sendJson(res, 200, { services: probe.all() });
+        return;
+    }
+
+    // API: Last endpoint probe of one service
+    if (req.method === 'GET' && url.pathname.startsWith('/api/probe/')) {
         const port = parseInt(url.pathname.split('/')[3]);
-        const services = loadServices();
-        const service = services.find(s => s.port === port);
+        if (!loadServices(profile).some(s => s.port === port)) {
+            sendJson(res, 404, { error: 'Service not found' });
+            return;
+        }
+        sendJson(res, 200, probe.get(port) || { port, results: null });
+        return;
+    }
 
-        if (service) {
-            const fullPath = expandPath(service.path);
-            exec(`code "${fullPath}"`, (err) => {
-                res.writeHead(200, { ...corsHeaders, 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({ success: !err }));
-            });
-        } else {
-            res.writeHead(404, { ...corsHeaders, 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ error: 'Service not found' }));
+    // API: Request every endpoint of a running service and check its
+    // expected status / body assertions
+    if (req.method === 'POST' && url.pathname.startsWith('/api/probe/')) {
+        const port = parseInt(url.pathname.split('/')[3]);
+        const service = loadServices(profile).find(s => s.port === port);
+        if (!service) {
+            sendJson(res, 404, { error: 'Service not found' });
+            return;
+        }
+        if (!service.endpoints || service.endpoints.length === 0) {
+            sendJson(res, 400, { error: `${service.name} has no endpoints configured` });
+            return;
+        }
+        if (!(await ports.checkPort(port)).running) {
+            sendJson(res, 409, { error: `${service.name} is not running` });
+            return;
         }
+        const result = await probe.probeService(service);
+        events.publish('probe', result);
+        sendJson(res, 200, result);
         return;
     }
 
-    // API: Open in Finder
-    if (req.method === 'POST' && url.pathname.startsWith('/api/finder/')) {
+    // API: A service's tasks and their run history, newest first
+    if (req.method === 'GET' && url.pathname.match(/^\/api\/tasks\/\d+$/)) {
         const port = parseInt(url.pathname.split('/')[3]);
-        const services = loadServices();
-        const service = services.find(s => s.port === port);
+        const service = loadServices(profile).find(s => s.port === port);
+        if (!service) {
+            sendJson(res, 404, { error: 'Service not found' });
+            return;
+        }
+        sendJson(res, 200, { port, tasks: tasks.list(service), running: tasks.running(port), history: tasks.history(port) });
+        return;
+    }
 
-        if (service) {
-            const fullPath = expandPath(service.path);
-            exec(`open "${fullPath}"`, (err) => {
-                res.writeHead(200, { ...corsHeaders, 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({ success: !err }));
-            });
-        } else {
+    // API: Run a task. Answers once it has started; the finished run
+    // arrives as a task event and in the history.
+    const taskMatch = req.method === 'POST' && url.pathname.match(/^\/api\/tasks\/(\d+)\/([^/]+)$/);
+    if (taskMatch) {
+        const port = parseInt(taskMatch[1]);
+        const name = decodeURIComponent(taskMatch[2]);
+        const service = loadServices(profile).find(s => s.port === port);
+        if (!service) {
+            sendJson(res, 404, { error: 'Service not found' });
+            return;
+        }
+        if (!tasks.list(service).some(t => t.name === name)) {
+            sendJson(res, 404, { error: `${service.name} has no task "${name}"` });
+            return;
+        }
+        if (tasks.running(port).some(r => r.task === name)) {
+            sendJson(res, 409, { error: `${name} is already running for ${service.name}` });
+            return;
+        }
+
+        let started;
+        try {
+            started = engine.runTask(service, name, webContext(req, profile));
+        } catch (err) {
+            auditWeb(req, 'task', port, { task: name }, { error: err.message });
+            sendJson(res, 400, { error: err.message });
+            return;
+        }
+        events.publish('task', started.run);
+        started.done.then(run => events.publish('task', run));
+        sendJson(res, 202, started.run);
+        return;
+    }
+
+    // API: Audit log, newest first (?source=, ?action=, ?port=, ?group=,
+    // ?success=true|false, ?since=, ?until= ISO times, ?limit=)
+    if (req.method === 'GET' && url.pathname === '/api/audit') {
+        const param = name => url.searchParams.get(name) || undefined;
+        const success = param('success');
+        if (param('source') && !audit.SOURCES.includes(param('source'))) {
+            sendJson(res, 400, { error: `source must be one of ${audit.SOURCES.join(', ')}` });
+            return;
+        }
+        sendJson(res, 200, audit.query({
+            source: param('source'),
+            action: param('action'),
+            port: parseInt(param('port')) || undefined,
+            group: param('group'),
+            success: success === undefined ? undefined : success === 'true',
+            since: param('since'),
+            until: param('until'),
+            limit: Math.min(parseInt(param('limit')) || 100, 1000)
+        }));
+        return;
+    }
+
+    // API: Every listening port, with its owner and whether it is the
+    // configured project, an impostor, or not configured at all
+    if (req.method === 'GET' && url.pathname === '/api/listeners') {
+        try {
+            const { live } = await state.prune();
+            sendJson(res, 200, await listeners.list(loadServices(profiles.ALL), live));
+        } catch (err) {
+            sendJson(res, 500, { error: err.message });
+        }
+        return;
+    }
+
+    // API: Scan for projects that aren't configured yet
+    // (?roots=dir1,dir2 and ?depth=n override services.json's discovery settings)
+    if (req.method === 'GET' && url.pathname === '/api/discover') {
+        try {
+            const config = servicesConfig.loadConfig();
+            const roots = url.searchParams.get('roots')
+                ? url.searchParams.get('roots').split(',').map(r => r.trim()).filter(Boolean)
+                : discovery.getRoots(config);
+            const maxDepth = parseInt(url.searchParams.get('depth')) ||
+                (config.discovery && config.discovery.maxDepth) || discovery.DEFAULT_MAX_DEPTH;
+            sendJson(res, 200, { roots, candidates: discovery.scan(roots, config.services, { maxDepth }) });
+        } catch (err) {
+            sendJson(res, 500, { error: err.message });
+        }
+        return;
+    }
+
+    // API: Import reviewed candidates into services.json in one write
+    if (req.method === 'POST' && url.pathname === '/api/discover/import') {
+        let body = {};
+        try {
+            body = await readJsonBody(req);
+            if (!Array.isArray(body.services) || body.services.length === 0) {
+                throw new servicesConfig.ValidationError([{ field: 'services', message: 'must be a non-empty array' }]);
+            }
+            const added = await servicesConfig.addServices(body.services);
+            auditWeb(req, 'services-import', null, { services: added.map(s => `${s.name} [:${s.port}]`) }, { success: true });
+            sendJson(res, 200, { success: true, services: added });
+        } catch (err) {
+            auditWeb(req, 'services-import', null, { services: Array.isArray(body.services) ? body.services.map(s => s && s.name) : undefined }, { error: err.message });
+            sendConfigError(res, err);
+        }
+        return;
+    }
+
+    // API: Open a service's directory (/api/open/:port/:target, target one
+    // of launcher.TARGETS). /api/code and /api/finder are the older names
+    // for the editor and file manager.
+    const openMatch = url.pathname.match(/^\/api\/(?:open\/(\d+)\/([^/]+)|(code|finder)\/(\d+))$/);
+    if (req.method === 'POST' && openMatch) {
+        const port = parseInt(openMatch[1] || openMatch[4]);
+        const target = openMatch[2] || (openMatch[3] === 'code' ? 'editor' : 'fileManager');
+        const service = loadServices(profile).find(s => s.port === port);
+
+        if (!service) {
             res.writeHead(404, { ...corsHeaders, 'Content-Type': 'application/json' });
             res.end(JSON.stringify({ error: 'Service not found' }));
+            return;
         }
+        if (!launcher.TARGETS.includes(target)) {
+            res.writeHead(400, { ...corsHeaders, 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: `Unknown target "${target}". Targets: ${launcher.TARGETS.join(', ')}` }));
+            return;
+        }
+        const result = await engine.openService(service, target, webContext(req, profile));
+        res.writeHead(result.success ? 200 : 500, { ...corsHeaders, 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(result));
         return;
     }
 
     // 404
     res.writeHead(404, corsHeaders);
     res.end('Not found');
+}
+
+// Routes read services.json (loadServices) outside their own try blocks: a
+// malformed file or unknown profile answers like a failed config update
+// instead of leaving the request hanging
+const server = http.createServer(async (req, res) => {
+    try {
+        await handleRequest(req, res);
+    } catch (err) {
+        if (res.headersSent) {
+            res.end();
+        } else {
+            sendConfigError(res, err);
+        }
+    }
 });
 
-server.listen(PORT, () => {
+// Re-adopt services started before this server (re)started
+async function adoptProcesses() {
+    const { live, stale } = await state.prune();
+    stale.forEach(p => console.log(`Dropped stale record for ${p.name} (pid ${p.pid} is gone)`));
+    live.forEach(p => console.log(`Re-adopted ${p.name} on :${p.port} (pid ${p.pid}, started by ${p.owner} at ${p.startedAt})`));
+}
+
+// Run the *.localhost reverse proxy when services.json has a "proxy" block
+function startProxy() {
+    let settings;
+    try {
+        settings = proxy.settings(loadConfig());
+    } catch (err) {
+        console.error(`Proxy not started: ${err.message}`);
+        return;
+    }
+    if (!settings) return;
+
+    const proxyServer = proxy.createServer({
+        services: () => loadServices(),
+        start: (service, req) => engine.startService(service, webContext(req)),
+        dashboardUrl: `http://localhost:${PORT}`
+    });
+    proxyServer.on('error', err => console.error(`Proxy could not listen on port ${settings.port}: ${err.message}`));
+    proxyServer.listen(settings.port, auth.getBindHost(), () => {
+        console.log(`Proxy: http://<service>.localhost:${settings.port}`);
+    });
+}
+
+server.listen(PORT, auth.getBindHost(), () => {
+    auth.getToken();
     console.log(`
 ╔════════════════════════════════════════════════════╗
 ║         LOCALHOST DASHBOARD SERVER                 ║
@@ -260,5 +706,16 @@ server.listen(PORT, () => {
 ║                                                    ║
 ║   Press Ctrl+C to stop                             ║
 ╚════════════════════════════════════════════════════╝
+
+Listening on ${auth.getBindHost()}:${PORT}. API token: ${auth.TOKEN_PATH}
 `);
+    adoptProcesses().catch(err => console.error(`Failed to re-adopt processes: ${err.message}`));
+    startProxy();
+    // Entries from either entry point, for the activity feed
+    audit.follow(entry => events.publish('audit', entry));
+    metrics.start(engine.metricsTargets, {
+        onSample: results => {
+            if (events.subscriberCount() > 0) events.publish('metrics', results);
+        }
+    });
 });
@@ -0,0 +1,77 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const auth = require('../lib/auth');
+
+const PORT = 9999;
+const TOKEN = 'test-token-0123456789';
+
+// A request as auth.check sees it
+function request(method, headers = {}) {
+    return { method, headers: { host: `localhost:${PORT}`, ...headers } };
+}
+
+before(() => {
+    // Keeps the tests off the install's .dashboard-token
+    process.env.DASHBOARD_TOKEN = TOKEN;
+    delete process.env.DASHBOARD_ALLOWED_HOSTS;
+});
+
+after(() => {
+    delete process.env.DASHBOARD_TOKEN;
+});
+
+test('reads from local hosts need no token', () => {
+    ['localhost', `localhost:${PORT}`, `127.0.0.1:${PORT}`, `[::1]:${PORT}`, `api.localhost:${PORT}`].forEach(host => {
+        assert.equal(auth.check(request('GET', { host }), PORT), null, host);
+    });
+});
+
+test('foreign or mismatched Host headers are refused', () => {
+    ['evil.example:9999', 'localhost.evil.example', `localhost:${PORT + 1}`, ''].forEach(host => {
+        assert.equal(auth.check(request('GET', { host }), PORT).status, 403, host);
+    });
+});
+
+test('DASHBOARD_ALLOWED_HOSTS admits extra hostnames', () => {
+    process.env.DASHBOARD_ALLOWED_HOSTS = 'devbox.lan, other.lan';
+    try {
+        assert.equal(auth.check(request('GET', { host: `devbox.lan:${PORT}` }), PORT), null);
+    } finally {
+        delete process.env.DASHBOARD_ALLOWED_HOSTS;
+    }
+    assert.equal(auth.check(request('GET', { host: `devbox.lan:${PORT}` }), PORT).status, 403);
+});
+
+test('browser origins must be our own pages', () => {
+    assert.equal(auth.check(request('GET', { origin: `http://localhost:${PORT}` }), PORT), null);
+    assert.equal(auth.check(request('GET', { origin: `http://127.0.0.1:${PORT}` }), PORT), null);
+    ['https://evil.example', `http://localhost:${PORT + 1}`, 'null', 'file://'].forEach(origin => {
+        const rejection = auth.check(request('GET', { origin }), PORT);
+        assert.equal(rejection.status, 403, origin);
+        assert.match(rejection.error, /Origin/);
+    });
+});
+
+test('changes need the token, as a header or bearer credential', () => {
+    ['POST', 'PUT', 'PATCH', 'DELETE'].forEach(method => {
+        assert.equal(auth.check(request(method), PORT).status, 401, method);
+    });
+    assert.equal(auth.check(request('POST', { 'x-dashboard-token': 'wrong' }), PORT).status, 401);
+    assert.equal(auth.check(request('POST', { 'x-dashboard-token': TOKEN }), PORT), null);
+    assert.equal(auth.check(request('DELETE', { authorization: `Bearer ${TOKEN}` }), PORT), null);
+});
+
+test('a valid token does not excuse a foreign origin', () => {
+    const rejection = auth.check(request('POST', { 'x-dashboard-token': TOKEN, origin: 'https://evil.example' }), PORT);
+    assert.equal(rejection.status, 403);
+});
+
+test('loopback addresses are recognized', () => {
+    ['127.0.0.1', '127.8.8.8', '::1', '::ffff:127.0.0.1'].forEach(address => assert.ok(auth.isLoopback(address), address));
+    ['10.0.0.2', '::ffff:192.168.1.1', undefined].forEach(address => assert.ok(!auth.isLoopback(address), String(address)));
+});
+
+test('the page gets the token injected', () => {
+    const html = auth.injectToken('<head><meta name="dashboard-token" content=""></head>');
+    assert.equal(html, `<head><meta name="dashboard-token" content="${TOKEN}"></head>`);
+});
@@ -0,0 +1,90 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateService, validateConfig, ValidationError } = require('../lib/config');
+
+const web = { name: 'Web', port: 3000, path: '~/web', type: 'frontend', startCmd: 'npm run dev' };
+const api = { name: 'API', port: 4000, path: '~/api', type: 'api', startCmd: 'npm start' };
+
+// The ValidationError validateConfig throws for `config`
+function rejection(config) {
+    try {
+        validateConfig(config);
+    } catch (err) {
+        assert.ok(err instanceof ValidationError, err.message);
+        return err;
+    }
+    assert.fail('config was accepted');
+}
+
+const fields = err => err.errors.map(e => e.field);
+
+test('a well-formed config passes', () => {
+    assert.doesNotThrow(() => validateConfig({
+        services: [{ ...api, dependsOn: ['Web'], restart: 'on-failure' }, web],
+        groups: [{ name: 'stack', services: ['Web', 4000] }],
+        profiles: [{ name: 'lite', services: ['Web'], overrides: { Web: { port: 3100 } } }],
+        defaultProfile: 'lite'
+    }));
+});
+
+test('missing and malformed service fields are named', () => {
+    const errors = validateService({ name: '', port: 70000, path: '~/x', type: 'database', alias: 'Bad Alias' });
+    assert.deepEqual(errors.map(e => e.field).sort(), ['alias', 'name', 'port', 'startCmd', 'type']);
+});
+
+test('container services need no startCmd', () => {
+    const db = { name: 'DB', port: 5432, path: '~/db', type: 'backend', runtime: 'docker', container: { image: 'postgres:16' } };
+    assert.deepEqual(validateService(db), []);
+});
+
+test('field errors are indexed by entry and are not conflicts', () => {
+    const err = rejection({ services: [web, { ...api, port: 'x' }], launchers: { browser: 'firefox' } });
+    assert.equal(err.conflict, false);
+    assert.deepEqual(fields(err), ['launchers.browser', 'services[1].port']);
+});
+
+test('duplicate ports and names are conflicts', () => {
+    const err = rejection({ services: [web, { ...api, port: 3000 }, { ...api, name: 'web', port: 5000 }] });
+    assert.equal(err.conflict, true);
+    assert.match(err.message, /3000 is already used by Web/);
+    assert.match(err.message, /"web" is already used by the service on port 3000/);
+});
+
+test('unknown dependencies point at the entry that lists them', () => {
+    const err = rejection({ services: [web, { ...api, dependsOn: ['Ghost'] }] });
+    assert.equal(err.conflict, true);
+    assert.deepEqual(err.errors, [{ field: 'services[1].dependsOn', message: 'unknown service "Ghost"' }]);
+});
+
+test('unknown group members point at the group', () => {
+    const err = rejection({ services: [web], groups: [{ name: 'ok', services: ['Web'] }, { name: 'bad', services: [9999] }] });
+    assert.deepEqual(err.errors, [{ field: 'groups[1].services', message: 'unknown service "9999"' }]);
+});
+
+test('malformed groups are field errors', () => {
+    assert.deepEqual(fields(rejection({ services: [web], groups: [{ name: '', services: 'Web' }] })),
+        ['groups[0].name', 'groups[0].services']);
+    assert.deepEqual(fields(rejection({ services: [web], groups: {} })), ['groups']);
+});
+
+test('a dependency cycle is reported on a service in it', () => {
+    const err = rejection({ services: [{ ...web, dependsOn: ['API'] }, { ...api, dependsOn: [3000] }] });
+    assert.equal(err.errors[0].field, 'services[0].dependsOn');
+    assert.match(err.errors[0].message, /Dependency cycle: Web -> API -> Web/);
+});
+
+test('profile references and clashes are reported on the profile', () => {
+    const unknown = rejection({ services: [web, api], profiles: [{ name: 'p', services: ['Nope'], overrides: { Gone: {} } }] });
+    assert.deepEqual(fields(unknown), ['profiles[0].services', 'profiles[0].overrides']);
+
+    const clash = rejection({ services: [web, api], profiles: [{ name: 'p', overrides: { API: { port: 3000 } } }] });
+    assert.equal(clash.errors[0].field, 'profiles[0].port');
+    assert.match(clash.errors[0].message, /in profile "p"/);
+
+    assert.deepEqual(fields(rejection({ services: [web], defaultProfile: 'missing' })), ['defaultProfile']);
+});
+
+test('profile overrides are limited to the overridable fields', () => {
+    const err = rejection({ services: [web], profiles: [{ name: 'p', overrides: { Web: { name: 'Renamed', port: 0 } } }] });
+    assert.deepEqual(fields(err).sort(), ['profiles[0].overrides.Web.name', 'profiles[0].overrides.Web.port']);
+});
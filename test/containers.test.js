@@ -0,0 +1,147 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const containers = require('../lib/containers');
+
+// A stand-in for the docker CLI: appends each call's argv (and, for `run`,
+// the env file's contents) to calls.jsonl and keeps container state in
+// state.json
+const FAKE_CLI = `#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const dir = process.env.FAKE_DIR;
+const args = process.argv.slice(2);
+const statePath = path.join(dir, 'state.json');
+const state = fs.existsSync(statePath) ? JSON.parse(fs.readFileSync(statePath, 'utf8')) : {};
+const save = () => fs.writeFileSync(statePath, JSON.stringify(state));
+const call = { args };
+const name = args[args.length - 1];
+switch (args[0]) {
+    case 'inspect':
+        if (!state[name]) {
+            process.stderr.write('Error: No such object: ' + name + '\\n');
+            process.exitCode = 1;
+            break;
+        }
+        process.stdout.write(JSON.stringify([{
+            Id: 'abcdef0123456789',
+            State: { Status: state[name].status, Running: state[name].status === 'running', ExitCode: 0 },
+            Config: { Image: state[name].image, Labels: state[name].labels }
+        }]));
+        break;
+    case 'run': {
+        const label = args[args.indexOf('--label') + 1].split('=');
+        call.envFile = fs.readFileSync(args[args.indexOf('--env-file') + 1], 'utf8');
+        const created = args[args.indexOf('--name') + 1];
+        state[created] = { status: 'running', image: name, labels: { [label[0]]: label[1] } };
+        save();
+        break;
+    }
+    case 'start':
+        state[name].status = 'running';
+        save();
+        break;
+    case 'stop':
+        state[name].status = 'exited';
+        save();
+        break;
+    case 'rm':
+        delete state[name];
+        save();
+        break;
+}
+fs.appendFileSync(path.join(dir, 'calls.jsonl'), JSON.stringify(call) + '\\n');
+`;
+
+let dir;
+
+function calls() {
+    const file = path.join(dir, 'calls.jsonl');
+    if (!fs.existsSync(file)) return [];
+    const lines = fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+    fs.rmSync(file);
+    return lines;
+}
+
+const service = {
+    name: 'Pg DB',
+    port: 45690,
+    path: '/nonexistent',
+    type: 'backend',
+    runtime: 'docker',
+    container: { image: 'postgres:16', containerPort: 5432, volumes: ['pg:/data'] }
+};
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lhd-fake-docker-'));
+    const cli = path.join(dir, 'docker');
+    fs.writeFileSync(cli, FAKE_CLI, { mode: 0o755 });
+    process.env.DASHBOARD_CONTAINER_CLI = cli;
+    process.env.FAKE_DIR = dir;
+});
+
+afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('first start creates the container with an env file', async () => {
+    const result = await containers.start(service, { PORT: '45690', POSTGRES_PASSWORD: 'secret' });
+    assert.equal(result.state, 'healthy');
+
+    const [lookup, create, ready] = calls();
+    assert.deepEqual(lookup.args, ['inspect', 'lhd-pg-db']);
+    assert.deepEqual(create.args.slice(0, 4), ['run', '-d', '--name', 'lhd-pg-db']);
+    assert.ok(create.args.includes('45690:5432'));
+    assert.deepEqual(create.args.slice(-3), ['-v', 'pg:/data', 'postgres:16']);
+    assert.ok(!create.args.some(arg => arg.includes('secret')), 'env values stay off the command line');
+    assert.equal(create.envFile, 'PORT=45690\nPOSTGRES_PASSWORD=secret\n');
+    assert.deepEqual(ready.args, ['inspect', 'lhd-pg-db']);
+});
+
+test('a later start with the same spec reuses the container', async () => {
+    const vars = { PORT: '45690' };
+    await containers.start(service, vars);
+    await containers.stop(service, 5000);
+    calls();
+
+    await containers.start(service, vars);
+    assert.deepEqual(calls().map(c => c.args[0]), ['inspect', 'start', 'inspect']);
+});
+
+test('a changed env or image replaces the container', async () => {
+    await containers.start(service, { PORT: '45690' });
+    calls();
+
+    await containers.start(service, { PORT: '45690', DEBUG: '1' });
+    const sequence = calls();
+    assert.deepEqual(sequence.map(c => c.args[0]), ['inspect', 'rm', 'run', 'inspect']);
+    assert.deepEqual(sequence[1].args, ['rm', '-f', 'lhd-pg-db']);
+    assert.equal(sequence[2].envFile, 'PORT=45690\nDEBUG=1\n');
+
+    await containers.start({ ...service, container: { ...service.container, image: 'postgres:17' } }, { PORT: '45690', DEBUG: '1' });
+    assert.deepEqual(calls().map(c => c.args[0]), ['inspect', 'rm', 'run', 'inspect']);
+});
+
+test('stop stops a running container and reports one that is not', async () => {
+    await containers.start(service, {});
+    calls();
+
+    const stopped = await containers.stop(service, 3000);
+    assert.equal(stopped.success, true);
+    assert.deepEqual(calls().map(c => c.args), [['inspect', 'lhd-pg-db'], ['stop', '-t', '3', 'lhd-pg-db']]);
+
+    const again = await containers.stop(service, 3000);
+    assert.equal(again.notRunning, true);
+    assert.deepEqual(calls().map(c => c.args[0]), ['inspect']);
+});
+
+test('readiness follows the container state', async () => {
+    assert.equal(containers.readiness(await containers.inspect(service)).state, 'stopped');
+    await containers.start(service, {});
+    const info = await containers.inspect(service);
+    assert.equal(info.running, true);
+    assert.equal(info.image, 'postgres:16');
+    assert.equal(containers.readiness(info).state, 'healthy');
+});
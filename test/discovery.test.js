@@ -0,0 +1,102 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const discovery = require('../lib/discovery');
+
+let root;
+
+// Write `files` (relative path -> contents) under the scan root
+function project(files) {
+    Object.entries(files).forEach(([name, contents]) => {
+        const file = path.join(root, name);
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, typeof contents === 'string' ? contents : JSON.stringify(contents));
+    });
+}
+
+const byName = (candidates, name) => candidates.find(c => c.name === name);
+
+beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'lhd-discovery-'));
+});
+
+afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+});
+
+test('node, python and compose projects are proposed', () => {
+    project({
+        'site/package.json': { scripts: { dev: 'vite --port 5174' }, devDependencies: { vite: '5' } },
+        'api/main.py': 'from fastapi import FastAPI\napp = FastAPI()\n',
+        'infra/docker-compose.yml': 'services:\n  redis:\n    image: redis\n    ports:\n      - "6380:6379"\n'
+    });
+    const candidates = discovery.scan([root], []);
+
+    assert.deepEqual(byName(candidates, 'Site'), {
+        name: 'Site', port: 5174, path: path.join(root, 'site'), type: 'frontend', github: '',
+        detectedBy: 'vite', startCmd: 'npm run dev', status: 'new'
+    });
+    assert.equal(byName(candidates, 'Api').startCmd, 'uvicorn main:app --host 0.0.0.0 --port 8000');
+    assert.deepEqual(discovery.toService(byName(candidates, 'Infra Redis')), {
+        name: 'Infra Redis', port: 6380, path: path.join(root, 'infra'), type: 'backend',
+        runtime: 'compose', compose: { service: 'redis', file: 'docker-compose.yml' }
+    });
+});
+
+test('a taken port moves into the uvicorn command or PORT, when the project reads them', () => {
+    project({
+        'api/main.py': 'from fastapi import FastAPI\napp = FastAPI()\n',
+        'web/package.json': { scripts: { dev: 'next dev' }, dependencies: { next: '14' } },
+        'srv/package.json': { scripts: { start: 'node index.js' } },
+        'srv/index.js': 'app.listen(process.env.PORT || 3000);\n'
+    });
+    const taken = [
+        { name: 'Old API', port: 8000, path: '/elsewhere', startCmd: 'x' },
+        { name: 'Old Web', port: 3000, path: '/elsewhere', startCmd: 'x' }
+    ];
+    const candidates = discovery.scan([root], taken);
+
+    const api = byName(candidates, 'Api');
+    assert.equal(api.port, 8001);
+    assert.equal(api.startCmd, 'uvicorn main:app --host 0.0.0.0 --port 8001');
+    assert.equal(api.env, undefined);
+
+    // Walked in name order: srv, then web
+    assert.deepEqual([byName(candidates, 'Srv').port, byName(candidates, 'Srv').env], [3001, { PORT: '3001' }]);
+    assert.deepEqual([byName(candidates, 'Web').port, byName(candidates, 'Web').env], [3002, { PORT: '3002' }]);
+    assert.match(byName(candidates, 'Web').note, /Port 3000 is taken by Old Web; proposing 3002/);
+    assert.deepEqual(discovery.toService(byName(candidates, 'Web')).env, { PORT: '3002' });
+});
+
+test('a taken port fixed in the project is a conflict, not a proposal', () => {
+    project({
+        'site/package.json': { scripts: { dev: 'vite' }, devDependencies: { vite: '5' } },
+        'infra/compose.yaml': 'services:\n  db:\n    ports:\n      - "127.0.0.1:5432:5432"\n'
+    });
+    const taken = [{ name: 'Vite', port: 5173, path: '/a', startCmd: 'x' }, { name: 'PG', port: 5432, path: '/b', startCmd: 'x' }];
+    const candidates = discovery.scan([root], taken);
+
+    ['Site', 'Infra Db'].forEach(name => {
+        const c = byName(candidates, name);
+        assert.equal(c.status, 'conflict', name);
+        assert.match(c.note, /is taken by .+ fixed in the project/);
+    });
+});
+
+test('configured projects are recognized by path and command or compose service', () => {
+    project({
+        'site/package.json': { scripts: { dev: 'vite' }, devDependencies: { vite: '5' } },
+        'infra/docker-compose.yml': 'services:\n  redis:\n    ports:\n      - "6379:6379"\n  cache:\n    ports:\n      - "6381:6379"\n'
+    });
+    const services = [
+        { name: 'My Site', port: 5200, path: path.join(root, 'site'), startCmd: 'npm run dev' },
+        { name: 'Redis', port: 7000, path: path.join(root, 'infra'), runtime: 'compose', compose: { service: 'redis' } }
+    ];
+    const candidates = discovery.scan([root], services);
+
+    assert.deepEqual(byName(candidates, 'Site').configuredAs, { name: 'My Site', port: 5200 });
+    assert.deepEqual(byName(candidates, 'Infra Redis').configuredAs, { name: 'Redis', port: 7000 });
+    assert.equal(byName(candidates, 'Infra Cache').status, 'new');
+});
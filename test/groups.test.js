@@ -0,0 +1,86 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const groups = require('../lib/groups');
+
+const services = [
+    { name: 'Web', port: 3000, dependsOn: ['API'] },
+    { name: 'API', port: 4000, dependsOn: [5432, 'Cache'] },
+    { name: 'DB', port: 5432 },
+    { name: 'Cache', port: 6379 },
+    { name: 'Docs', port: 8000 }
+];
+const config = {
+    services,
+    groups: [{ name: 'app', services: ['Web', 8000] }, { name: 'broken', services: ['Nope'] }]
+};
+const names = list => list.map(s => s.name);
+
+test('dependencies start before their dependents, once each', () => {
+    assert.deepEqual(names(groups.startOrder(services, [services[0], services[1]])), ['DB', 'Cache', 'API', 'Web']);
+});
+
+test('stop order reverses the start order and keeps only the requested services', () => {
+    assert.deepEqual(names(groups.stopOrder(services, [services[2], services[0], services[1]])), ['Web', 'API', 'DB']);
+});
+
+test('a dependency cycle is reported with the services in it', () => {
+    const looped = [{ name: 'A', port: 1, dependsOn: ['B'] }, { name: 'B', port: 2, dependsOn: [1] }];
+    assert.throws(() => groups.startOrder(looped, looped), (err) => {
+        assert.equal(err.message, 'Dependency cycle: A -> B -> A');
+        assert.deepEqual(names(err.cycle), ['A', 'B', 'A']);
+        return true;
+    });
+});
+
+test('unknown dependencies and group members are named', () => {
+    const orphan = { name: 'Orphan', port: 9, dependsOn: ['Ghost'] };
+    assert.throws(() => groups.startOrder([orphan], [orphan]), /Unknown dependency "Ghost" for Orphan/);
+    assert.throws(() => groups.getGroup(config, 'broken'), /Group "broken" references unknown service "Nope"/);
+    assert.throws(() => groups.getGroup(config, 'missing'), /Unknown group "missing"/);
+});
+
+test('groups resolve members by name or port', () => {
+    assert.deepEqual(names(groups.getGroup(config, 'app').members), ['Web', 'Docs']);
+    assert.equal(groups.findService(services, '6379').name, 'Cache');
+});
+
+test('startInOrder skips healthy services and stops at the first failure', async () => {
+    const started = [];
+    const result = await groups.startInOrder(groups.startOrder(services, [services[0]]), {
+        isHealthy: async s => s.name === 'DB',
+        start: async (s) => {
+            started.push(s.name);
+            return s.name === 'API'
+                ? { success: false, state: 'unhealthy', detail: 'GET /health -> 500' }
+                : { success: true, state: 'healthy', detail: 'ok' };
+        }
+    });
+
+    assert.deepEqual(started, ['Cache', 'API']);
+    assert.equal(result.success, false);
+    assert.equal(result.error, 'API is unhealthy: GET /health -> 500. Not started: Web');
+    assert.deepEqual(result.results.map(r => [r.name, r.state, Boolean(r.skipped)]),
+        [['DB', 'healthy', true], ['Cache', 'healthy', false], ['API', 'unhealthy', false]]);
+});
+
+test('a start that throws counts as a crash', async () => {
+    const result = await groups.startInOrder([services[2]], {
+        isHealthy: async () => false,
+        start: async () => {
+            throw new Error('spawn failed');
+        }
+    });
+    assert.equal(result.success, false);
+    assert.equal(result.results[0].state, 'crashed');
+    assert.match(result.error, /DB is crashed: spawn failed/);
+});
+
+test('stopInOrder stops every service and reports partial failure', async () => {
+    const stopped = [];
+    const result = await groups.stopInOrder(groups.stopOrder(services, services.slice(0, 3)), async (port) => {
+        stopped.push(port);
+        return port === 4000 ? { success: false, error: 'refused' } : { success: true };
+    });
+    assert.deepEqual(stopped, [3000, 4000, 5432]);
+    assert.equal(result.success, false);
+});
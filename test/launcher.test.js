@@ -0,0 +1,91 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const launcher = require('../lib/launcher');
+
+const DIR = '/home/me/my app';
+const command = (launchers, target) => launcher.commandFor({ launchers }, target, DIR);
+
+let editorEnv;
+let dir;
+
+beforeEach(() => {
+    editorEnv = { VISUAL: process.env.VISUAL, EDITOR: process.env.EDITOR };
+    delete process.env.VISUAL;
+    delete process.env.EDITOR;
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lhd-launcher-'));
+});
+
+afterEach(() => {
+    Object.entries(editorEnv).forEach(([name, value]) => {
+        if (value === undefined) delete process.env[name];
+        else process.env[name] = value;
+    });
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('presets, program names and argument arrays become commands', () => {
+    assert.deepEqual(command({ editor: 'cursor' }, 'editor'), ['cursor', DIR]);
+    assert.deepEqual(command({ editor: 'sublime' }, 'editor'), ['subl', DIR]);
+    assert.deepEqual(command({ fileManager: 'thunar' }, 'fileManager'), ['thunar', DIR]);
+    assert.deepEqual(command({ terminal: ['kitty', '--directory', '{path}', '--title={path}'] }, 'terminal'),
+        ['kitty', '--directory', DIR, `--title=${DIR}`]);
+    assert.deepEqual(command({ terminal: ['alacritty'] }, 'terminal'), ['alacritty']);
+});
+
+test('targets left out use the platform default', () => {
+    const expected = launcher.defaults();
+    assert.deepEqual(launcher.commandFor({}, 'editor', DIR), ['code', DIR]);
+    assert.deepEqual(launcher.commandFor(null, 'fileManager', DIR), expected.fileManager.map(a => a.replace('{path}', DIR)));
+    assert.deepEqual(launcher.defaults('darwin').terminal, ['open', '-a', 'Terminal', '{path}']);
+    assert.deepEqual(launcher.defaults('win32').fileManager, ['explorer', '{path}']);
+    assert.deepEqual(launcher.defaults('linux').terminal, ['x-terminal-emulator']);
+});
+
+test('unknown targets are refused', () => {
+    assert.throws(() => command({}, 'browser'), /Unknown target "browser"\. Targets: editor, fileManager, terminal/);
+});
+
+test('$EDITOR prefers VISUAL and needs one of them set', () => {
+    assert.throws(() => command({ editor: '$EDITOR' }, 'editor'), /No program configured for editor \(\$VISUAL and \$EDITOR are unset\)/);
+    process.env.EDITOR = 'code --wait';
+    assert.deepEqual(command({ editor: '$EDITOR' }, 'editor'), ['code', '--wait', DIR]);
+    process.env.VISUAL = 'zed';
+    assert.deepEqual(command({ editor: '$EDITOR' }, 'editor'), ['zed', DIR]);
+});
+
+test('terminal editors are refused as the editor only', () => {
+    ['vim', '/usr/bin/nvim', 'nano'].forEach(program => {
+        assert.throws(() => command({ editor: program }, 'editor'), /is a terminal editor/, program);
+    });
+    assert.throws(() => command({ editor: ['emacs', '-nw', '{path}'] }, 'editor'), /emacs is a terminal editor/);
+    process.env.EDITOR = 'vi';
+    assert.throws(() => command({ editor: '$EDITOR' }, 'editor'), /vi is a terminal editor/);
+
+    assert.deepEqual(command({ editor: ['emacs', '{path}'] }, 'editor'), ['emacs', DIR]);
+    assert.deepEqual(command({ terminal: ['kitty', 'vim', '{path}'] }, 'terminal'), ['kitty', 'vim', DIR]);
+});
+
+test('launcher values must be a name or a non-empty argument array', () => {
+    ['code', ['kitty', '{path}']].forEach(value => assert.ok(launcher.isLauncher(value), JSON.stringify(value)));
+    ['', '  ', [], ['kitty', ''], ['kitty', 3], 42, null].forEach(value => {
+        assert.ok(!launcher.isLauncher(value), JSON.stringify(value));
+    });
+});
+
+test('launches report missing directories, missing programs and failures', async () => {
+    const missing = await launcher.open({}, 'editor', path.join(dir, 'gone'));
+    assert.deepEqual([missing.success, missing.error], [false, `Directory not found: ${path.join(dir, 'gone')}`]);
+
+    const notFound = await launcher.open({ launchers: { terminal: ['lhd-no-such-program'] } }, 'terminal', dir);
+    assert.equal(notFound.error, 'lhd-no-such-program not found. Set launchers.terminal in services.json.');
+
+    const failed = await launcher.open({ launchers: { terminal: ['sh', '-c', 'echo "cannot open {path}" >&2; exit 4'] } }, 'terminal', dir);
+    assert.deepEqual([failed.success, failed.error], [false, `cannot open ${dir}`]);
+
+    const opened = await launcher.open({ launchers: { fileManager: ['sh', '-c', 'test "$PWD" = "$1"', 'sh', '{path}'] } }, 'fileManager', dir);
+    assert.equal(opened.success, true);
+    assert.deepEqual(opened.command, ['sh', '-c', 'test "$PWD" = "$1"', 'sh', dir]);
+});
@@ -0,0 +1,101 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const ports = require('../lib/ports');
+const processes = require('../lib/processes');
+const listeners = require('../lib/listeners');
+
+// This process holds the ports, so its cwd is the "project" directory
+const cwd = fs.realpathSync(process.cwd());
+let server;
+let port;
+let other;
+let otherPort;
+
+// Listen on an ephemeral port, resolving the server once it is bound
+function listen() {
+    return new Promise((resolve, reject) => {
+        const s = net.createServer(socket => socket.end());
+        s.once('error', reject);
+        s.listen(0, '127.0.0.1', () => resolve(s));
+    });
+}
+
+const service = (extra = {}) => ({ name: 'Here', port, path: cwd, startCmd: 'node server.js', ...extra });
+
+// Ownership of our port as `list` reports it for `services`
+async function entryFor(services, managed = []) {
+    ports.invalidate();
+    return (await listeners.list(services, managed)).find(e => e.port === port);
+}
+
+before(async () => {
+    [server, other] = await Promise.all([listen(), listen()]);
+    port = server.address().port;
+    otherPort = other.address().port;
+});
+
+after(async () => {
+    await Promise.all([server, other].map(s => new Promise(resolve => s.close(resolve))));
+});
+
+test('listeners are listed by port with their owner', async () => {
+    ports.invalidate();
+    const entries = await listeners.list([service()]);
+    assert.deepEqual(entries.map(e => e.port), [...entries.map(e => e.port)].sort((a, b) => a - b));
+
+    const ours = entries.find(e => e.port === port);
+    assert.deepEqual(ours.addresses, ['127.0.0.1']);
+    assert.equal(ours.pid, process.pid);
+    assert.deepEqual(ours.pids, [process.pid]);
+    assert.match(ours.command, /node/);
+    assert.equal(ours.cwd, cwd);
+    assert.deepEqual(ours.service, { name: 'Here', port });
+
+    const unconfigured = entries.find(e => e.port === otherPort);
+    assert.equal(unconfigured.service, null);
+    assert.equal(unconfigured.ownership, null);
+});
+
+test('a process in the service directory is expected, one elsewhere an impostor', async () => {
+    const expected = await entryFor([service({ path: path.dirname(cwd) })]);
+    assert.equal(expected.ownership, 'expected');
+    assert.equal(expected.detail, `pid ${process.pid} running from ${cwd}`);
+
+    const elsewhere = `${cwd}-other`;
+    const impostor = await entryFor([service({ path: elsewhere })]);
+    assert.equal(impostor.ownership, 'impostor');
+    assert.equal(impostor.detail, `Port ${port} is held by pid ${process.pid} (${impostor.command}) running from ${cwd}, not ${elsewhere}`);
+});
+
+test('a process in the recorded process group is managed', async () => {
+    const { pgid } = (await processes.listProcesses()).find(p => p.pid === process.pid);
+    const managed = await entryFor([service({ path: '/elsewhere' })], [{ port, pid: 4242, pgid }]);
+    assert.equal(managed.ownership, 'managed');
+    assert.equal(managed.detail, 'Started by the dashboard (pid 4242)');
+
+    const stale = await entryFor([service({ path: '/elsewhere' })], [{ port, pid: 4242, pgid: 999999999 }]);
+    assert.equal(stale.ownership, 'impostor');
+});
+
+test('container ports are expected whoever forwards them', async () => {
+    const entry = await entryFor([service({ path: '/elsewhere', runtime: 'docker', image: 'redis' })]);
+    assert.equal(entry.ownership, 'expected');
+    assert.equal(entry.detail, `Published by the docker runtime (pid ${process.pid})`);
+});
+
+test('identify classifies one running service', async () => {
+    ports.invalidate();
+    const status = await ports.checkPort(port);
+    const identity = await listeners.identify(service(), status);
+    assert.deepEqual(identity, {
+        ownership: 'expected',
+        detail: `pid ${process.pid} running from ${cwd}`,
+        pid: process.pid,
+        command: status.command,
+        cwd
+    });
+    assert.equal(await listeners.identify(service(), { running: false }), null);
+});
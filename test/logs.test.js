@@ -0,0 +1,83 @@
+const { test, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { PassThrough } = require('stream');
+
+// Keep the fixtures out of the real logs/ directory
+process.env.DASHBOARD_LOG_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'lhd-logs-'));
+const logs = require('../lib/logs');
+
+let port = 61000;
+const file = () => logs.logPath(port);
+
+// A child process stand-in with pipeable output
+function fakeChild() {
+    const child = new EventEmitter();
+    child.stdout = new PassThrough();
+    child.stderr = new PassThrough();
+    return child;
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+const texts = lines => lines.map(l => l.text);
+
+afterEach(() => {
+    port++;
+});
+
+after(() => {
+    fs.rmSync(logs.LOG_DIR, { recursive: true, force: true });
+    delete process.env.DASHBOARD_LOG_DIR;
+});
+
+test('captured output is tailed from memory and mirrored to the file', async () => {
+    const child = fakeChild();
+    logs.attach(port, child);
+    child.stdout.write('one\ntwo\npart');
+    await tick();
+    assert.deepEqual(texts(logs.tail(port, 10)), ['one', 'two']);
+    assert.equal(fs.readFileSync(file(), 'utf8'), 'one\ntwo\n');
+
+    child.emit('exit', 0, null);
+    assert.deepEqual(texts(logs.tail(port, 2)), ['part', 'Process exited with code 0']);
+});
+
+test('output another entry point appended makes the file the source', async () => {
+    const child = fakeChild();
+    logs.attach(port, child);
+    child.stdout.write('web run\n');
+    await tick();
+    fs.appendFileSync(file(), 'cli run\n');
+    assert.deepEqual(texts(logs.tail(port, 10)), ['web run', 'cli run']);
+
+    // Once we write again the buffer restarts from our own output
+    child.stdout.write('web again\n');
+    await tick();
+    assert.deepEqual(texts(logs.tail(port, 1)), ['web again']);
+    assert.match(fs.readFileSync(file(), 'utf8'), /cli run\nweb again\n$/);
+});
+
+test('a process writing straight to the file is read from the file', () => {
+    logs.system(port, 'captured start');
+    fs.closeSync(logs.openFd(port, 'detached start'));
+    fs.appendFileSync(file(), 'detached output\n');
+    assert.deepEqual(logs.tail(port, 2).map(l => [l.stream, l.text]), [['system', 'detached start'], ['file', 'detached output']]);
+});
+
+test('following a file survives it being removed and recreated', async () => {
+    fs.writeFileSync(file(), 'old\n');
+    const seen = [];
+    const stop = logs.follow(port, line => seen.push(line.text));
+    try {
+        fs.rmSync(file());
+        await new Promise(resolve => setTimeout(resolve, 1500));
+        fs.writeFileSync(file(), 'new\n');
+        await new Promise(resolve => setTimeout(resolve, 2500));
+    } finally {
+        stop();
+    }
+    assert.deepEqual(seen, ['new']);
+});
@@ -0,0 +1,80 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const ports = require('../lib/ports');
+
+// Listen on an ephemeral port, resolving the server once it is bound
+function listen(host = '127.0.0.1') {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer(socket => socket.end());
+        server.once('error', reject);
+        server.listen(0, host, () => resolve(server));
+    });
+}
+
+function close(server) {
+    return new Promise(resolve => server.close(resolve));
+}
+
+test('a listening port reports this process as its owner', async () => {
+    const server = await listen();
+    const { port } = server.address();
+    try {
+        ports.invalidate();
+        const status = await ports.checkPort(port);
+        assert.equal(status.running, true);
+        assert.equal(status.pid, process.pid);
+        assert.deepEqual(status.pids, [process.pid]);
+        assert.match(status.command, /node/);
+    } finally {
+        await close(server);
+    }
+});
+
+test('a closed port reports not running once the cache is dropped', async () => {
+    const server = await listen();
+    const { port } = server.address();
+    await close(server);
+    ports.invalidate();
+    assert.deepEqual(await ports.checkPort(port), { running: false });
+});
+
+test('client connections do not count as listeners', async () => {
+    const server = await listen();
+    const { port } = server.address();
+    const client = net.connect(port, '127.0.0.1');
+    await new Promise(resolve => client.once('connect', resolve));
+    try {
+        ports.invalidate();
+        const listeners = await ports.listListeners();
+        assert.ok(listeners.every(s => s.state === 'LISTEN'));
+        assert.equal(listeners.filter(s => s.port === client.localPort).length, 0);
+        assert.equal(listeners.filter(s => s.port === port).length, 1);
+    } finally {
+        client.destroy();
+        await close(server);
+    }
+});
+
+test('listeners are grouped by port', async () => {
+    const server = await listen();
+    const { port } = server.address();
+    try {
+        ports.invalidate();
+        const map = await ports.getListenerMap();
+        assert.equal(map.get(port)[0].address, '127.0.0.1');
+        assert.equal(map.get(port)[0].family, 'IPv4');
+    } finally {
+        await close(server);
+    }
+});
+
+test('portStatus prefers a socket with a known owner', () => {
+    const map = new Map([[8080, [
+        { port: 8080, pid: null, command: null },
+        { port: 8080, pid: 42, command: 'node server.js' },
+        { port: 8080, pid: 43, command: 'node server.js' }
+    ]]]);
+    assert.deepEqual(ports.portStatus(map, 8080), { running: true, pid: 42, command: 'node server.js', pids: [42, 43] });
+    assert.deepEqual(ports.portStatus(map, 8081), { running: false });
+});
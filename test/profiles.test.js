@@ -0,0 +1,104 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const profiles = require('../lib/profiles');
+
+const config = {
+    env: { LOG_LEVEL: 'info' },
+    envFile: '.env',
+    services: [
+        { name: 'Portal', port: 3000, path: '~/portal', startCmd: 'npm run dev', dependsOn: ['API', 5432] },
+        { name: 'API', port: 3001, path: '~/api', startCmd: 'npm start', env: { DEBUG: '1', DB: 'dev' }, dependsOn: [5432] },
+        { name: 'DB', port: 5432, path: '~/db', startCmd: 'postgres' }
+    ],
+    groups: [
+        { name: 'web', services: ['Portal', 3001] },
+        { name: 'data', services: ['DB'] }
+    ],
+    defaultProfile: 'dev',
+    profiles: [
+        { name: 'dev', description: 'Everything', services: ['Portal', 'API', 'DB'] },
+        {
+            name: 'e2e',
+            services: ['Portal', 3001],
+            env: { NODE_ENV: 'test' },
+            envFile: '.env.e2e',
+            overrides: {
+                Portal: { port: 4100, startCmd: 'npm run dev -- --port 4100', name: 'Renamed' },
+                3001: { port: 4101, env: { DB: 'e2e' } },
+                Missing: { port: 1 }
+            }
+        },
+        { name: 'all' }
+    ]
+};
+
+const ports = view => view.services.map(s => s.port);
+
+test('profiles are listed with their size and the default', () => {
+    assert.deepEqual(profiles.list(config), [
+        { name: 'dev', description: 'Everything', services: 3, default: true },
+        { name: 'e2e', description: '', services: 2, default: false },
+        { name: 'all', description: '', services: 3, default: false }
+    ]);
+    assert.ok(profiles.exists(config, 'e2e'));
+    assert.ok(!profiles.exists(config, 'prod'));
+    assert.equal(profiles.defaultName(config), 'dev');
+    assert.equal(profiles.defaultName({ ...config, defaultProfile: 'prod' }), null);
+    assert.deepEqual(profiles.list({ services: [] }), []);
+});
+
+test('without profiles or a default the plain list applies', () => {
+    const plain = { services: config.services };
+    assert.deepEqual(profiles.apply(plain, null), { ...plain, profile: null });
+    const noDefault = profiles.apply({ ...config, defaultProfile: undefined }, null);
+    assert.equal(noDefault.profile, null);
+    assert.equal(noDefault.services, config.services);
+});
+
+test('the default profile applies when none is named', () => {
+    const view = profiles.apply(config, null);
+    assert.equal(view.profile, 'dev');
+    assert.deepEqual(ports(view), [3000, 3001, 5432]);
+    assert.deepEqual(view.services[0].dependsOn, ['API', 'DB']);
+});
+
+test('overrides replace fields, merge env and ignore the rest', () => {
+    const view = profiles.apply(config, 'e2e');
+    const [portal, api] = view.services;
+    assert.deepEqual(ports(view), [4100, 4101]);
+    assert.equal(portal.name, 'Portal');
+    assert.equal(portal.startCmd, 'npm run dev -- --port 4100');
+    assert.deepEqual(api.env, { DEBUG: '1', DB: 'e2e' });
+    assert.equal(config.services[1].env.DB, 'dev', 'the base service is untouched');
+    assert.deepEqual(view.env, { LOG_LEVEL: 'info', NODE_ENV: 'test' });
+    assert.deepEqual(view.envFile, ['.env', '.env.e2e']);
+});
+
+test('dependsOn and groups drop services outside the profile', () => {
+    const view = profiles.apply(config, 'e2e');
+    assert.deepEqual(view.services[0].dependsOn, ['API']);
+    assert.deepEqual(view.services[1].dependsOn, []);
+    assert.deepEqual(view.groups, [{ name: 'web', services: ['Portal', 'API'] }]);
+});
+
+test('a profile without a service list takes them all', () => {
+    assert.deepEqual(ports(profiles.apply(config, 'all')), [3000, 3001, 5432]);
+});
+
+test('unknown profiles are refused', () => {
+    assert.throws(() => profiles.apply(config, 'prod'), /Unknown profile "prod"/);
+});
+
+test('ALL has every port any profile uses, once each', () => {
+    const view = profiles.apply(config, profiles.ALL);
+    assert.equal(view.profile, profiles.ALL);
+    assert.deepEqual(view.services.map(s => [s.port, s.profile]), [
+        [3000, 'dev'], [3001, 'dev'], [5432, 'dev'], [4100, 'e2e'], [4101, 'e2e']
+    ]);
+});
+
+test('the base entry is found behind an overridden port', () => {
+    assert.equal(profiles.baseService(config, 'e2e', 4101), config.services[1]);
+    assert.equal(profiles.baseService(config, 'e2e', 3001), null);
+    assert.equal(profiles.baseService(config, null, 5432), config.services[2]);
+});
@@ -0,0 +1,194 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const net = require('net');
+const proxy = require('../lib/proxy');
+const { validateConfig } = require('../lib/config');
+
+let upstream;
+let server;
+let proxyPort;
+let stoppedPort;
+const starts = [];
+
+// A port nothing listens on
+function freePort() {
+    return new Promise((resolve) => {
+        const probe = net.createServer().listen(0, '127.0.0.1', () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+// Request through the proxy as `host`. Resolves { status, headers, body }.
+function request(host, { method = 'GET', path = '/', headers = {}, body = null } = {}) {
+    return new Promise((resolve, reject) => {
+        const req = http.request({
+            host: '127.0.0.1',
+            port: proxyPort,
+            method,
+            path,
+            headers: { host: `${host}:${proxyPort}`, ...headers },
+            agent: false
+        }, (res) => {
+            let text = '';
+            res.on('data', chunk => text += chunk);
+            res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: text }));
+        });
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+// POST the stopped page's start form, as a browser would
+function postStart(host, form, origin = `http://${host}:${proxyPort}`) {
+    return request(host, {
+        method: 'POST',
+        path: '/__dashboard/start',
+        headers: { accept: 'text/html', 'content-type': 'application/x-www-form-urlencoded', ...(origin ? { origin } : {}) },
+        body: new URLSearchParams(form).toString()
+    });
+}
+
+// The nonce from a stopped page
+async function nonceFor(host) {
+    const page = await request(host, { headers: { accept: 'text/html' } });
+    return page.body.match(/name="nonce" value="([0-9a-f]+)"/)[1];
+}
+
+before(async () => {
+    upstream = http.createServer((req, res) => {
+        res.writeHead(200, { 'content-type': 'application/json' });
+        res.end(JSON.stringify({ url: req.url, host: req.headers.host, forwardedHost: req.headers['x-forwarded-host'] }));
+    });
+    upstream.on('upgrade', (req, socket) => {
+        socket.end('HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n\r\n');
+    });
+    await new Promise(resolve => upstream.listen(0, '127.0.0.1', resolve));
+    stoppedPort = await freePort();
+
+    const services = [
+        { name: 'Admin UI', port: upstream.address().port, alias: 'admin' },
+        { name: 'Worker Queue', port: stoppedPort }
+    ];
+    server = proxy.createServer({
+        services: () => services,
+        start: async (service, req) => {
+            starts.push({ name: service.name, host: req.headers.host });
+            return service.name === 'Worker Queue' ? { success: false, error: 'Worker Queue is crashed: exit 1' } : { success: true };
+        },
+        dashboardUrl: 'http://localhost:9999'
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    proxyPort = server.address().port;
+});
+
+after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await new Promise(resolve => upstream.close(resolve));
+});
+
+test('hostnames come from the alias or the name as a slug', () => {
+    assert.equal(proxy.slug('  Admin UI (v2) '), 'admin-ui-v2');
+    assert.equal(proxy.hostnameOf({ name: 'Admin UI', port: 3007, alias: 'admin' }), 'admin.localhost');
+    assert.equal(proxy.hostnameOf({ name: 'Worker Queue', port: 4000 }), 'worker-queue.localhost');
+    assert.equal(proxy.hostnameOf({ name: '!!!', port: 4000 }), 'port-4000.localhost');
+    assert.equal(proxy.settings({}), null);
+    assert.deepEqual(proxy.settings({ proxy: {} }), { port: proxy.DEFAULT_PORT });
+    assert.equal(proxy.urlOf({ name: 'Admin', port: 1 }, { port: 80 }), 'http://admin.localhost');
+    assert.equal(proxy.urlOf({ name: 'Admin', port: 1 }, null), null);
+});
+
+test('requests are routed by hostname with forwarding headers', async () => {
+    const res = await request('admin.localhost', { path: '/api/items?page=2' });
+    assert.equal(res.status, 200);
+    assert.deepEqual(JSON.parse(res.body), {
+        url: '/api/items?page=2',
+        host: `admin.localhost:${proxyPort}`,
+        forwardedHost: `admin.localhost:${proxyPort}`
+    });
+});
+
+test('unknown hostnames list the configured ones', async () => {
+    const res = await request('nope.localhost');
+    assert.equal(res.status, 404);
+    assert.match(res.body, /No service at nope\.localhost/);
+    assert.match(res.body, /admin\.localhost/);
+    assert.match(res.body, /worker-queue\.localhost/);
+});
+
+test('a stopped service gets a start page, or plain text for non-browsers', async () => {
+    const page = await request('worker-queue.localhost', { headers: { accept: 'text/html' } });
+    assert.equal(page.status, 502);
+    assert.match(page.body, /Worker Queue is stopped/);
+    assert.match(page.body, /action="\/__dashboard\/start"/);
+
+    const plain = await request('worker-queue.localhost');
+    assert.equal(plain.status, 502);
+    assert.equal(plain.body, `Worker Queue is not running on port ${stoppedPort}\n`);
+});
+
+test('start requests need the page nonce and the service\'s own origin', async () => {
+    const host = 'worker-queue.localhost';
+    const nonce = await nonceFor(host);
+    starts.length = 0;
+
+    assert.equal((await postStart(host, { nonce })).status, 502);
+    assert.equal((await postStart(host, { nonce: 'wrong' })).status, 403);
+    assert.equal((await postStart(host, { nonce }, null)).status, 403);
+    assert.equal((await postStart(host, { nonce }, 'https://evil.example')).status, 403);
+    assert.equal((await postStart(host, { nonce }, `http://admin.localhost:${proxyPort}`)).status, 403);
+    assert.equal(starts.length, 1, 'only the first request reached start()');
+});
+
+test('a failed start shows the error on the stopped page', async () => {
+    const host = 'worker-queue.localhost';
+    const res = await postStart(host, { nonce: await nonceFor(host) });
+    assert.equal(res.status, 502);
+    assert.match(res.body, /Worker Queue is crashed: exit 1/);
+});
+
+test('a successful start redirects back, but only to a local path', async () => {
+    const host = 'admin.localhost';
+    const nonce = await nonceFor('worker-queue.localhost');
+    const back = await postStart(host, { nonce, back: '/dashboard?tab=1' });
+    assert.equal(back.status, 303);
+    assert.equal(back.headers.location, '/dashboard?tab=1');
+
+    for (const target of ['//evil.example/', 'https://evil.example/']) {
+        assert.equal((await postStart(host, { nonce, back: target })).headers.location, '/');
+    }
+});
+
+test('oversized start forms are refused', async () => {
+    const res = await postStart('admin.localhost', { nonce: 'x', pad: 'a'.repeat(10000) });
+    assert.equal(res.status, 413);
+});
+
+test('upgrades are passed through to the service', async () => {
+    const reply = await new Promise((resolve, reject) => {
+        const socket = net.connect(proxyPort, '127.0.0.1', () => {
+            socket.write(`GET /ws HTTP/1.1\r\nHost: admin.localhost:${proxyPort}\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n\r\n`);
+        });
+        let text = '';
+        socket.on('data', chunk => text += chunk);
+        socket.on('end', () => resolve(text));
+        socket.on('error', reject);
+    });
+    assert.match(reply, /^HTTP\/1\.1 101 Switching Protocols/);
+});
+
+test('the proxy port may not be the dashboard\'s or a service\'s', () => {
+    const web = { name: 'Web', port: 3000, path: '~/web', type: 'frontend', startCmd: 'npm run dev' };
+    assert.doesNotThrow(() => validateConfig({ services: [web], proxy: {} }));
+    assert.throws(() => validateConfig({ services: [web], proxy: { port: 3000 } }), /proxy\.port: 3000 is already used by Web/);
+    assert.throws(() => validateConfig({ services: [web], proxy: { port: 9999 } }), /proxy\.port: 9999 is the dashboard's own port/);
+    assert.throws(() => validateConfig({ services: [{ ...web, port: proxy.DEFAULT_PORT }], proxy: {} }),
+        new RegExp(`proxy: ${proxy.DEFAULT_PORT} is already used by Web`));
+    assert.throws(() => validateConfig({
+        services: [web],
+        profiles: [{ name: 'alt', overrides: { Web: { port: 4000 } } }],
+        proxy: { port: 4000 }
+    }), /4000 is already used by Web/);
+});
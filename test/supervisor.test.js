@@ -0,0 +1,97 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const supervisor = require('../lib/supervisor');
+
+// Each test gets its own port, since supervisor state is per port
+let port = 47000;
+const service = restart => ({ name: 'Flaky', port: ++port, restart });
+
+beforeEach(() => {
+    mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+});
+
+afterEach(() => {
+    mock.timers.reset();
+});
+
+test('policies normalize from strings and objects', () => {
+    assert.equal(supervisor.getPolicy({}).policy, 'never');
+    assert.equal(supervisor.getPolicy({ restart: 'bogus' }).policy, 'never');
+    assert.deepEqual(supervisor.getPolicy({ restart: 'always' }),
+        { policy: 'always', maxRestarts: 5, window: 60000, backoff: 1000, maxBackoff: 30000 });
+    assert.equal(supervisor.getPolicy({ restart: { policy: 'on-failure', maxRestarts: 2 } }).maxRestarts, 2);
+});
+
+test('never and on-failure leave clean exits alone', () => {
+    const restart = mock.fn();
+    assert.equal(supervisor.handleExit(service('never'), { code: 1 }, restart).action, 'none');
+    assert.equal(supervisor.handleExit(service('on-failure'), { code: 0 }, restart).action, 'none');
+    mock.timers.tick(60000);
+    assert.equal(restart.mock.callCount(), 0);
+});
+
+test('restarts back off exponentially up to maxBackoff', () => {
+    const flaky = service({ policy: 'always', backoff: 1000, maxBackoff: 3000, maxRestarts: 10 });
+    const restart = mock.fn();
+    const delays = [1, 2, 3, 4].map(() => {
+        const decision = supervisor.handleExit(flaky, { code: 1 }, restart);
+        mock.timers.tick(decision.delay);
+        return decision.delay;
+    });
+    assert.deepEqual(delays, [1000, 2000, 3000, 3000]);
+    assert.equal(restart.mock.callCount(), 4);
+    assert.equal(supervisor.getInfo(flaky).restarts, 4);
+});
+
+test('too many restarts within the window is a crash loop', () => {
+    const flaky = service({ policy: 'on-failure', maxRestarts: 2, window: 60000 });
+    const restart = mock.fn();
+    for (let i = 0; i < 2; i++) {
+        mock.timers.tick(supervisor.handleExit(flaky, { code: 1 }, restart).delay);
+    }
+    const decision = supervisor.handleExit(flaky, { code: 1 }, restart);
+    assert.equal(decision.action, 'crash-loop');
+    assert.match(decision.detail, /Crash loop: 2 restarts in 60s/);
+    assert.equal(supervisor.getInfo(flaky).crashLooped, true);
+    assert.equal(restart.mock.callCount(), 2);
+});
+
+test('restarts older than the window are forgotten', () => {
+    const flaky = service({ policy: 'always', maxRestarts: 1, window: 10000 });
+    const restart = mock.fn();
+    mock.timers.tick(supervisor.handleExit(flaky, { code: 1 }, restart).delay);
+    mock.timers.tick(10000);
+    assert.equal(supervisor.handleExit(flaky, { code: 1 }, restart).action, 'restart');
+});
+
+test('cancel drops a pending restart', () => {
+    const flaky = service('always');
+    const restart = mock.fn();
+    supervisor.handleExit(flaky, { code: null, signal: 'SIGKILL' }, restart);
+    assert.ok(supervisor.getInfo(flaky).nextRestartAt);
+    supervisor.cancel(flaky.port);
+    mock.timers.tick(60000);
+    assert.equal(restart.mock.callCount(), 0);
+    assert.equal(supervisor.getInfo(flaky).nextRestartAt, null);
+});
+
+test('a manual start clears the crash-loop guard', () => {
+    const flaky = service({ policy: 'always', maxRestarts: 1 });
+    const restart = mock.fn();
+    mock.timers.tick(supervisor.handleExit(flaky, { code: 1 }, restart).delay);
+    assert.equal(supervisor.handleExit(flaky, { code: 1 }, restart).action, 'crash-loop');
+
+    supervisor.resetCrashLoop(flaky.port);
+    assert.equal(supervisor.getInfo(flaky).crashLooped, false);
+    assert.equal(supervisor.handleExit(flaky, { code: 1 }, restart).action, 'restart');
+});
+
+test('exit history records codes and signals', () => {
+    const flaky = service('never');
+    supervisor.handleExit(flaky, { code: 2, signal: null }, () => {});
+    supervisor.handleExit(flaky, { code: null, signal: 'SIGSEGV' }, () => {});
+    const info = supervisor.getInfo(flaky);
+    assert.equal(info.exits.length, 2);
+    assert.equal(info.lastExit.signal, 'SIGSEGV');
+    assert.equal(info.exitCode, null);
+});
@@ -0,0 +1,90 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Run history and the audit log go to a temp dir, not logs/
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lhd-tasks-'));
+process.env.DASHBOARD_LOG_DIR = dir;
+const tasks = require('../lib/tasks');
+const engine = require('../lib/engine');
+const audit = require('../lib/audit');
+
+let port = 62000;
+const service = taskMap => ({ name: 'Tasked', port: ++port, path: dir, type: 'backend', startCmd: 'true', tasks: taskMap });
+const run = (svc, name, env = {}) => tasks.start(svc, name, { cwd: dir, env, source: 'cli' });
+
+after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    delete process.env.DASHBOARD_LOG_DIR;
+});
+
+test('tasks normalize from strings and objects', () => {
+    const svc = service({ test: 'npm test', migrate: { cmd: 'alembic upgrade head', description: 'Apply', timeout: 5000 } });
+    assert.deepEqual(tasks.list(svc), [
+        { name: 'test', cmd: 'npm test', description: '', timeout: tasks.DEFAULT_TIMEOUT, running: false },
+        { name: 'migrate', cmd: 'alembic upgrade head', description: 'Apply', timeout: 5000, running: false }
+    ]);
+    assert.deepEqual(tasks.list({ name: 'Bare', port: 1 }), []);
+});
+
+test('a successful run records its output in the cwd with the env', async () => {
+    const svc = service({ hello: 'echo "$GREETING from $(basename "$PWD")"; echo oops >&2' });
+    const started = run(svc, 'hello', { GREETING: 'hi' });
+    assert.equal(started.run.status, 'running');
+    assert.equal(tasks.list(svc)[0].running, true);
+    assert.deepEqual(tasks.running(svc.port).map(r => r.task), ['hello']);
+
+    const finished = await started.done;
+    assert.equal(finished.success, true);
+    assert.equal(finished.status, 'succeeded');
+    assert.equal(finished.exitCode, 0);
+    assert.equal(finished.output, `hi from ${path.basename(dir)}\noops\n`);
+    assert.equal(tasks.running(svc.port).length, 0);
+    assert.equal(tasks.history(svc.port)[0].id, finished.id);
+});
+
+test('a failing run reports its exit code', async () => {
+    const finished = await run(service({ fail: 'exit 3' }), 'fail').done;
+    assert.equal(finished.success, false);
+    assert.equal(finished.exitCode, 3);
+    assert.equal(finished.error, 'Exited with code 3');
+});
+
+test('a run past its timeout is killed', async () => {
+    const finished = await run(service({ slow: { cmd: 'sleep 5', timeout: 200 } }), 'slow').done;
+    assert.equal(finished.success, false);
+    assert.equal(finished.error, 'Timed out after 200ms');
+    assert.ok(finished.duration < 4000);
+});
+
+test('unknown and already running tasks are refused', async () => {
+    const svc = service({ wait: 'sleep 0.2' });
+    assert.throws(() => run(svc, 'nope'), /Tasked has no task "nope"/);
+    const first = run(svc, 'wait');
+    assert.throws(() => run(svc, 'wait'), /wait is already running for Tasked/);
+    await first.done;
+});
+
+test('history keeps the newest runs only', async () => {
+    const svc = service({ quick: 'true' });
+    for (let i = 0; i < 22; i++) await run(svc, 'quick').done;
+    const history = tasks.history(svc.port);
+    assert.equal(history.length, 20);
+    assert.ok(history[0].startedAt >= history[19].startedAt);
+    assert.deepEqual(tasks.history(svc.port, 3).map(r => r.id), history.slice(0, 3).map(r => r.id));
+});
+
+test('audit entries say whether the run succeeded', async () => {
+    const svc = service({ ok: 'true', bad: 'exit 2' });
+    const context = { source: 'cli' };
+    await engine.runTask(svc, 'ok', context).done;
+    await engine.runTask(svc, 'bad', context).done;
+
+    const [bad, ok] = audit.query({ port: svc.port, action: 'task' });
+    assert.equal(ok.result.success, true);
+    assert.match(ok.result.detail, /^ok succeeded in \d+ms$/);
+    assert.equal(bad.result.success, false);
+    assert.match(bad.result.detail, /^bad failed \(exit 2\) in \d+ms$/);
+});